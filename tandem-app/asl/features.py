@@ -0,0 +1,31 @@
+# Feature layout shared by training, server/asl_server.py and public/deaf.js
+# (buildFeatures) — change all of them together.
+#
+# Up to NUM_HANDS hands in the order MediaPipe detected them — the layout the
+# classifier was trained on, so it must not be reordered without retraining.
+# Each hand adds its 21 landmarks as x, y pairs relative to the minimum x / y
+# seen so far (across this hand and any earlier one). A missing hand is an
+# explicit block of zeros, so every vector is exactly FEATURE_LENGTH long.
+LANDMARKS_PER_HAND = 21
+FEATURES_PER_HAND = LANDMARKS_PER_HAND * 2
+NUM_HANDS = 2
+FEATURE_LENGTH = FEATURES_PER_HAND * NUM_HANDS
+
+
+def build_features(multi_hand_landmarks):
+    """Build the classifier input from MediaPipe Hands results.
+
+    Returns (features, x_, y_) where x_ / y_ are every landmark coordinate used,
+    for drawing a bounding box.
+    """
+    features, x_, y_ = [], [], []
+    for hand_landmarks in list(multi_hand_landmarks or [])[:NUM_HANDS]:
+        for landmark in hand_landmarks.landmark:
+            x_.append(landmark.x)
+            y_.append(landmark.y)
+        for landmark in hand_landmarks.landmark:
+            features.append(landmark.x - min(x_))
+            features.append(landmark.y - min(y_))
+
+    features += [0.0] * (FEATURE_LENGTH - len(features))
+    return features, x_, y_
@@ -0,0 +1,157 @@
+// public/aslModel.js
+// In-browser ASL classifier — the alternative to the Python /api/predict
+// round trip, selectable on deaf.html. Loads a TensorFlow.js layers model from
+// /asl-model/model.json (asl/public/), exported with tensorflowjs_converter
+// from a model trained on the feature layout in asl/features.py. None is
+// committed yet, so the engine stays disabled until one is (see available()).
+//
+// Class labels must come with the export, in training order: the model's
+// user-defined metadata (`labels`) or /asl-model/labels.json.
+//
+// Exposes window.aslBrowserModel:
+//   available()            → Promise<boolean>, whether a model is installed
+//   load()                 → Promise<void>, rejects if the model is unavailable
+//   predict(features)      → Promise<{ prediction, probability }>
+//   predictSequence(frames)→ Promise<{ prediction, probability, predictions, source }>
+
+const TFJS_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js';
+const MODEL_URL = '/asl-model/model.json';
+const LABELS_URL = '/asl-model/labels.json';
+
+let model = null;
+let labels = null;
+let inputSize = 0;
+let loading = null;
+
+function loadTfjs() {
+  return new Promise((resolve, reject) => {
+    if (window.tf) return resolve(window.tf);
+    const script = document.createElement('script');
+    script.src = TFJS_URL;
+    script.onload = () => resolve(window.tf);
+    script.onerror = () => reject(new Error('Could not load TensorFlow.js'));
+    document.head.appendChild(script);
+  });
+}
+
+async function fetchJson(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`${url}: HTTP ${resp.status}`);
+  return resp.json();
+}
+
+async function loadLabels(loaded) {
+  const meta = typeof loaded.getUserDefinedMetadata === 'function' ? loaded.getUserDefinedMetadata() : null;
+  if (meta && Array.isArray(meta.labels)) return meta.labels;
+  try {
+    return await fetchJson(LABELS_URL);
+  } catch {
+    // Guessing the class order would mislabel every prediction.
+    throw new Error('model has no class labels (metadata or labels.json)');
+  }
+}
+
+/** Whether a model export is installed at /asl-model. */
+async function available() {
+  try {
+    const resp = await fetch(MODEL_URL, { method: 'HEAD' });
+    return resp.ok;
+  } catch {
+    return false;
+  }
+}
+
+async function load() {
+  if (model) return;
+  if (!loading) {
+    loading = (async () => {
+      const tf = await loadTfjs();
+      const loaded = await tf.loadLayersModel(MODEL_URL);
+      const loadedLabels = await loadLabels(loaded);
+      const outputSize = loaded.outputs[0].shape[1];
+      if (loadedLabels.length !== outputSize) {
+        throw new Error(`Model has ${outputSize} outputs but ${loadedLabels.length} labels`);
+      }
+      // Only publish the model once it is fully usable.
+      inputSize = loaded.inputs[0].shape[1];
+      labels = loadedLabels;
+      model = loaded;
+      console.log(`[ASL] in-browser model loaded: ${inputSize} features, ${outputSize} classes`);
+    })().catch((err) => {
+      loading = null;
+      throw err;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Check a feature vector against the model's input size. A mismatch means the
+ * model was trained on a different feature layout, so it is refused rather
+ * than padded or cut to fit.
+ * @param {number[]} features
+ * @returns {number[]}
+ */
+function checkInput(features) {
+  if (!Array.isArray(features) || features.length !== inputSize) {
+    throw new Error(`Expected ${inputSize} features, got ${features && features.length}`);
+  }
+  return features;
+}
+
+/**
+ * Run the model over a batch of feature vectors.
+ * @param {number[][]} batch
+ * @returns {Promise<Float32Array[]>} class probabilities per row
+ */
+async function run(batch) {
+  const tf = window.tf;
+  const rows = batch.map(checkInput);
+  const output = tf.tidy(() => model.predict(tf.tensor2d(rows, [rows.length, inputSize])));
+  const data = await output.data();
+  output.dispose();
+  const classes = labels.length;
+  return rows.map((_, i) => data.subarray(i * classes, (i + 1) * classes));
+}
+
+function ranked(probabilities, k = 3) {
+  return Array.from(probabilities, (probability, i) => ({ label: labels[i], probability }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, k);
+}
+
+async function predict(features) {
+  await load();
+  const [probabilities] = await run([features]);
+  const [best] = ranked(probabilities, 1);
+  return { prediction: best.label, probability: best.probability };
+}
+
+/**
+ * Same contract as /api/predict-sequence without a sequence model: average
+ * the per-frame probabilities over the window.
+ * @param {{ features: number[] }[]} frames
+ */
+async function predictSequence(frames) {
+  await load();
+  const perFrame = await run(frames.map((f) => f.features));
+  const mean = new Float32Array(labels.length);
+  for (const probabilities of perFrame) {
+    for (let i = 0; i < mean.length; i++) mean[i] += probabilities[i] / perFrame.length;
+  }
+  const predictions = ranked(mean);
+  return {
+    prediction: predictions[0].label,
+    probability: predictions[0].probability,
+    predictions,
+    source: 'browser-vote',
+  };
+}
+
+window.aslBrowserModel = {
+  available,
+  load,
+  predict,
+  predictSequence,
+  isReady: () => Boolean(model),
+};
@@ -0,0 +1,233 @@
+// public/audioCaptureWorklet.js
+// AudioWorklet processor for speech capture, loaded by setupAudioProcessing()
+// in script.js. It runs on the audio rendering thread, downmixes the
+// microphone to mono, resamples from the AudioContext's rate to the rate
+// negotiated with the server (16 kHz by default) and posts ~100 ms chunks of
+// LINEAR16 PCM back to the page as transferable ArrayBuffers, which the page
+// sends to the server as binary `audioData`.
+//
+// Audio is only posted while someone is speaking. A voice activity detector
+// looks at each 10 ms frame's energy against an adaptive noise floor and at
+// its zero-crossing rate (broadband hiss crosses zero far more often than
+// voice); speech starts after ATTACK_MS of voiced frames and ends after
+// HANGOVER_MS without, or at the latest after MAX_UTTERANCE_MS. The last
+// PRE_ROLL_MS of audio is kept while silent and sent at speech start, so the
+// first syllable isn't lost.
+//
+// Messages from the page:
+//   { type: 'config', sampleRate }   switch the output rate (after negotiation)
+// Messages to the page:
+//   { type: 'speechStart' }
+//   { type: 'audio', buffer }        one chunk of little-endian Int16 samples
+//   { type: 'speechEnd' }
+
+const CHUNK_MS = 100;
+const FRAME_MS = 10;
+const ATTACK_MS = 30;
+const HANGOVER_MS = 800;
+const PRE_ROLL_MS = 300;
+// A frame is voiced when it is this far above the noise floor (dB), and
+// never below MIN_SPEECH_DB (dBFS) however quiet the room.
+const SPEECH_MARGIN_DB = 12;
+const MIN_SPEECH_DB = -55;
+const MAX_SPEECH_ZCR = 0.4;   // zero crossings per sample
+const NOISE_ADAPT = 0.05;     // how fast the floor rises towards louder noise
+// While speaking the floor keeps rising, far more slowly (a ~5 s time
+// constant). Speech drops back to the real floor between words, but steady
+// noise loud enough to count as voiced (a fan, a hum) is absorbed, and
+// MAX_UTTERANCE_MS ends the utterance if that still doesn't.
+const SPEAKING_NOISE_ADAPT = 0.002;
+const MAX_UTTERANCE_MS = 30000;
+
+/**
+ * Streaming resampler. Downsampling averages the input samples that fall in
+ * each output period — a box filter, which keeps most aliasing out of the
+ * speech band; upsampling interpolates linearly. State carries across blocks.
+ */
+class Resampler {
+  constructor(inputRate, outputRate) {
+    this.ratio = inputRate / outputRate;
+    this.sum = 0;
+    this.count = 0;
+    this.position = 0;  // input samples into the current output period
+    this.previous = 0;  // last input sample, for interpolation
+  }
+
+  /**
+   * @param {Float32Array} input
+   * @param {(sample: number) => void} emit
+   */
+  process(input, emit) {
+    if (this.ratio >= 1) {
+      for (let i = 0; i < input.length; i++) {
+        this.sum += input[i];
+        this.count++;
+        this.position++;
+        if (this.position >= this.ratio) {
+          emit(this.sum / this.count);
+          this.position -= this.ratio;
+          this.sum = 0;
+          this.count = 0;
+        }
+      }
+      return;
+    }
+    // position is the fractional index of the next output sample between
+    // `previous` (index -1) and input[i].
+    for (let i = 0; i < input.length; i++) {
+      const sample = input[i];
+      while (this.position < 1) {
+        emit(this.previous + (sample - this.previous) * this.position);
+        this.position += this.ratio;
+      }
+      this.position -= 1;
+      this.previous = sample;
+    }
+  }
+}
+
+/**
+ * Energy + zero-crossing voice activity detector over fixed-size frames.
+ * `update(frame)` returns 'start', 'end' or null as the state changes.
+ */
+class VoiceActivityDetector {
+  constructor() {
+    this.noiseFloor = -60;  // dBFS
+    this.speaking = false;
+    this.voicedRun = 0;     // consecutive voiced frames while silent
+    this.silentRun = 0;     // consecutive unvoiced frames while speaking
+    this.speechRun = 0;     // frames since speech started
+  }
+
+  /** @param {Float32Array} frame */
+  isVoiced(frame) {
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < frame.length; i++) {
+      energy += frame[i] * frame[i];
+      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) crossings++;
+    }
+    const db = 10 * Math.log10(energy / frame.length + 1e-10);
+    const zcr = crossings / frame.length;
+    const voiced = db > Math.max(this.noiseFloor + SPEECH_MARGIN_DB, MIN_SPEECH_DB) && zcr < MAX_SPEECH_ZCR;
+    // Follow the noise floor down at once and up slowly — very slowly while
+    // speaking, and not at all on voiced frames before speech has started.
+    if (db < this.noiseFloor) this.noiseFloor = db;
+    else if (this.speaking) this.noiseFloor += (db - this.noiseFloor) * SPEAKING_NOISE_ADAPT;
+    else if (!voiced) this.noiseFloor += (db - this.noiseFloor) * NOISE_ADAPT;
+    return voiced;
+  }
+
+  /** @param {Float32Array} frame */
+  update(frame) {
+    const voiced = this.isVoiced(frame);
+    if (!this.speaking) {
+      this.voicedRun = voiced ? this.voicedRun + 1 : 0;
+      if (this.voicedRun * FRAME_MS >= ATTACK_MS) {
+        this.speaking = true;
+        this.silentRun = 0;
+        this.speechRun = 0;
+        return 'start';
+      }
+      return null;
+    }
+    this.silentRun = voiced ? 0 : this.silentRun + 1;
+    this.speechRun++;
+    if (this.silentRun * FRAME_MS >= HANGOVER_MS || this.speechRun * FRAME_MS >= MAX_UTTERANCE_MS) {
+      this.speaking = false;
+      this.voicedRun = 0;
+      return 'end';
+    }
+    return null;
+  }
+}
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    this.configure(processorOptions.sampleRate || 16000);
+    this.port.onmessage = ({ data }) => {
+      if (data && data.type === 'config' && data.sampleRate) this.configure(data.sampleRate);
+    };
+  }
+
+  configure(outputRate) {
+    // The recognizer is about to change; close off any speech in progress.
+    if (this.vad && this.vad.speaking) this.endSpeech();
+    // `sampleRate` is the AudioWorkletGlobalScope's context rate.
+    this.resampler = new Resampler(sampleRate, outputRate);
+    this.chunk = new Int16Array(Math.round(outputRate * CHUNK_MS / 1000));
+    this.length = 0;
+    this.frame = new Float32Array(Math.round(outputRate * FRAME_MS / 1000));
+    this.frameLength = 0;
+    this.preRoll = [];
+    this.vad = new VoiceActivityDetector();
+  }
+
+  /** Post whatever has been collected so far. */
+  flush() {
+    if (this.length === 0) return;
+    const out = this.chunk.slice(0, this.length);
+    this.port.postMessage({ type: 'audio', buffer: out.buffer }, [out.buffer]);
+    this.length = 0;
+  }
+
+  endSpeech() {
+    this.flush();
+    this.port.postMessage({ type: 'speechEnd' });
+  }
+
+  /** Append a frame of samples to the outgoing chunk. */
+  send(frame) {
+    for (let i = 0; i < frame.length; i++) {
+      const s = Math.max(-1, Math.min(1, frame[i]));
+      this.chunk[this.length++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+      if (this.length === this.chunk.length) this.flush();
+    }
+  }
+
+  /** Run one full frame through the detector and route it. */
+  processFrame(frame) {
+    const change = this.vad.update(frame);
+    if (change === 'start') {
+      this.port.postMessage({ type: 'speechStart' });
+      // The pre-roll already holds this frame's voiced predecessors.
+      this.preRoll.forEach((buffered) => this.send(buffered));
+      this.preRoll = [];
+    }
+    if (this.vad.speaking || change === 'end') {
+      this.send(frame);
+      if (change === 'end') this.endSpeech();
+      return;
+    }
+    this.preRoll.push(frame);
+    if (this.preRoll.length * FRAME_MS > PRE_ROLL_MS) this.preRoll.shift();
+  }
+
+  push(sample) {
+    this.frame[this.frameLength++] = sample;
+    if (this.frameLength === this.frame.length) {
+      this.processFrame(this.frame);
+      this.frame = new Float32Array(this.frame.length);
+      this.frameLength = 0;
+    }
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (channels && channels.length) {
+      let mono = channels[0];
+      if (channels.length > 1) {
+        mono = new Float32Array(mono.length);
+        for (const channel of channels) {
+          for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / channels.length;
+        }
+      }
+      this.resampler.process(mono, (sample) => this.push(sample));
+    }
+    // Keep the processor alive while the node is connected.
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
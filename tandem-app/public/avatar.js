@@ -40,6 +40,18 @@
         </label>
       </div>
       <pose-viewer id="avatar-viewer" autoplay></pose-viewer>
+      <div id="avatar-playback">
+        <button type="button" class="avatar-btn" id="avatar-pause" title="Pause">⏸</button>
+        <button type="button" class="avatar-btn" id="avatar-replay" title="Replay last">↺</button>
+        <button type="button" class="avatar-btn" id="avatar-skip" title="Skip current">⏭</button>
+        <label class="select">
+          Speed:
+          <select id="avatar-speed"></select>
+        </label>
+        <button type="button" class="avatar-btn" id="avatar-history-toggle" title="Previously signed"
+          aria-controls="avatar-history" aria-expanded="false">History</button>
+      </div>
+      <ol id="avatar-history" hidden></ol>
       <div id="avatar-status"></div>
     `;
   }
@@ -65,8 +77,13 @@
   const spokenEl = container.querySelector('#avatar-spoken');
   const signedEl = container.querySelector('#avatar-signed');
 
-  // default playback for pose-viewer
+  // default playback for pose-viewer; the speed control picks from
+  // PLAYBACK_RATES and remembers the choice in localStorage.
   const DEFAULT_PLAYBACK_RATE = 3.0;
+  const MIN_PLAYBACK_RATE = 0.5;
+  const MAX_PLAYBACK_RATE = 5.0;
+  const PLAYBACK_RATES = [1, 1.5, 2, 3, 4];
+  const SPEED_STORAGE_KEY = 'tandem.avatarSpeed';
 
   function setStatus(msg, isError = false) {
     if (!statusEl) return;
@@ -83,51 +100,290 @@
   // ---------------------------------------------------------------------------
   // SigningQueue — ensures utterances are rendered one at a time, in order.
   //
-  // The pose-viewer web component does not expose a stable cross-browser
-  // "playback ended" event, so we estimate each utterance's duration as:
-  //   words × MS_PER_WORD, clamped to [MIN_DURATION, MAX_DURATION] ms.
-  // When pose-viewer fires `firstRender$` we reset the timer to that moment
-  // so any fetch/parse delay before rendering begins does not count against
-  // the signing window.
+  // Once pose-viewer has loaded a pose (`firstRender$`), the queue reads its
+  // frame count and fps via `viewer.getPose()` and holds the utterance for
+  // exactly frames / fps at the current playback rate. Until then — and if the
+  // pose can't be inspected — it falls back to an estimate of
+  //   words × MS_PER_WORD, clamped to [MIN_DURATION, MAX_DURATION] ms,
+  // plus FETCH_GRACE for the request itself.
+  //
+  // Progress is reported as `avatar:progress` window events and relayed to
+  // the other participants as `signingProgress`:
+  //   { state: 'started' | 'progress' | 'finished', text, percent, duration, wordIndex? }
+  //
+  // Speech that comes with STT word timings is split at pauses of PHRASE_GAP
+  // or more, so each sign phrase follows a spoken phrase rather than a whole
+  // (possibly long) final result, and `wordIndex` says which spoken word the
+  // signing has reached, spread over the phrase as the speaker paced it.
   // ---------------------------------------------------------------------------
   const MS_PER_WORD = 2000;  // ~2 s per sign-word at 3× playback
   const MIN_DURATION = 2500;  // never less than 2.5 s even for a single word
   const MAX_DURATION = 20000; // cap at 20 s for very long sentences
+  const FETCH_GRACE = 3000;   // allowance for fetching the pose before it renders
+  const PROGRESS_INTERVAL = 500;
+  const MAX_HISTORY = 50;
+  const PHRASE_GAP = 0.6;     // s of silence between words that ends a phrase
 
   function estimateDuration(text) {
     const words = (text || '').trim().split(/\s+/).filter(Boolean).length || 1;
     return Math.min(MAX_DURATION, Math.max(MIN_DURATION, words * MS_PER_WORD));
   }
 
+  /**
+   * Split a final transcript into spoken phrases using its word timings.
+   * The transcript's own tokens are kept (they carry punctuation) when they
+   * line up one-to-one with the timed words.
+   * @param {string} text
+   * @param {{ word: string, start: number, end: number }[]} [words]
+   * @returns {{ text: string, words?: object[] }[]}
+   */
+  function splitPhrases(text, words) {
+    if (!Array.isArray(words) || words.length === 0) return [{ text }];
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const labels = tokens.length === words.length ? tokens : words.map((w) => w.word);
+    const phrases = [];
+    let current = null;
+    words.forEach((word, i) => {
+      if (!current || word.start - words[i - 1].end >= PHRASE_GAP) {
+        current = { labels: [], words: [] };
+        phrases.push(current);
+      }
+      current.labels.push(labels[i]);
+      current.words.push(word);
+    });
+    return phrases.map((phrase) => ({ text: phrase.labels.join(' '), words: phrase.words }));
+  }
+
+  /** Index of the spoken word reached after `fraction` of a phrase, by its speech timing. */
+  function wordAt(words, fraction) {
+    const start = words[0].start;
+    const span = words[words.length - 1].end - start;
+    if (!(span > 0)) return Math.min(words.length - 1, Math.floor(fraction * words.length));
+    const t = start + fraction * span;
+    let index = 0;
+    while (index + 1 < words.length && words[index + 1].start <= t) index++;
+    return index;
+  }
+
+  /**
+   * Playback length of the pose currently loaded in the viewer.
+   * @returns {Promise<number|null>} ms at `rate`, or null if unavailable
+   */
+  async function measurePoseDuration(rate) {
+    if (!viewer || typeof viewer.getPose !== 'function') return null;
+    const pose = await viewer.getPose();
+    const body = pose && pose.body;
+    const frames = body && (Array.isArray(body.frames) ? body.frames.length : body.frames);
+    if (!frames || !body.fps) return null;
+    return (frames / body.fps / rate) * 1000;
+  }
+
+  function applyPlaybackRate(rate) {
+    if (!viewer) return;
+    try {
+      viewer.setAttribute('playbackRate', String(rate));
+      if (typeof viewer.playbackRate !== 'undefined') viewer.playbackRate = rate;
+    } catch (_) { /* ignore if unsupported */ }
+  }
+
+  /** Call a pose-viewer method (play/pause) if this build of the component has it. */
+  function callViewer(method) {
+    if (!viewer || typeof viewer[method] !== 'function') return;
+    Promise.resolve(viewer[method]()).catch((err) => console.warn(`[avatar] ${method} failed`, err));
+  }
+
   class SigningQueue {
     constructor() {
-      this._queue = [];   // Array<{text, spoken, signed}>
+      this._queue = [];   // Array<{text, spoken, signed, words?, replay?}>
       this._playing = false;
+      this._paused = false;
       this._timer = null;
+      this._progressTimer = null;
+      this._item = null;    // utterance being fetched or signed
+      // Timing once rendering: { duration, elapsed, resumedAt } where elapsed
+      // accumulates across pauses and resumedAt is null while paused.
+      this._current = null;
+      this._generation = 0; // bumped per utterance so stale callbacks are ignored
+      this.playbackRate = DEFAULT_PLAYBACK_RATE;
+      this.history = [];    // Array<{text, spoken, signed, at}>, oldest first
+      this.onChange = null; // called whenever history or play/pause state changes
     }
 
-    /** Add an utterance to the queue and start playback if idle. */
-    enqueue(text, spoken = 'en', signed = 'ase') {
+    /**
+     * Add an utterance to the queue and start playback if idle.
+     * @param {string} text
+     * @param {string} [spoken]
+     * @param {string} [signed]
+     * @param {object} [options]
+     * @param {object[]} [options.words] - STT word timings; the utterance is
+     *   queued phrase by phrase (see splitPhrases)
+     */
+    enqueue(text, spoken = 'en', signed = 'ase', { words } = {}) {
       const trimmed = (text || '').trim();
       if (!trimmed) return;
-      this._queue.push({ text: trimmed, spoken, signed });
+      for (const phrase of splitPhrases(trimmed, words)) {
+        this._queue.push({ ...phrase, spoken, signed });
+      }
       if (!this._playing) this._flush();
     }
 
     /** Immediately clear the queue and stop the current animation. */
     interrupt() {
       this._queue = [];
+      this._finishCurrent();
       clearTimeout(this._timer);
+      this._generation++;
+      this._item = null;
       this._playing = false;
+      this._paused = false;
       setStatus('');
+      this._changed();
+    }
+
+    /** Freeze the avatar mid-sign; queued utterances wait until resume(). */
+    pause() {
+      if (this._paused) return;
+      this._paused = true;
+      callViewer('pause');
+      clearTimeout(this._timer);
+      clearInterval(this._progressTimer);
+      if (this._current && this._current.resumedAt) {
+        this._current.elapsed += Date.now() - this._current.resumedAt;
+        this._current.resumedAt = null;
+      }
+      if (this._playing) setStatus('Paused.');
+      this._changed();
+    }
+
+    resume() {
+      if (!this._paused) return;
+      this._paused = false;
+      callViewer('play');
+      if (this._current) {
+        setStatus('Signing…');
+        this._runTimers();
+      } else if (this._item) {
+        // Still waiting for the pose to render; re-arm the fallback timer.
+        setStatus('Signing…');
+        this._scheduleNext(MIN_DURATION + FETCH_GRACE);
+      } else {
+        // Paused while idle — anything queued since then starts now.
+        this._flush();
+      }
+      this._changed();
+    }
+
+    /** Abandon the current utterance and move on to the next one. */
+    skip() {
+      if (!this._playing) return;
+      this._generation++;
+      this._flush();
+    }
+
+    /**
+     * Sign a previous utterance again, right now. Whatever was being signed is
+     * put back at the front of the queue so it isn't lost.
+     * @param {{text, spoken, signed}} [entry] - defaults to the last utterance
+     */
+    replay(entry = this.history[this.history.length - 1]) {
+      if (!entry) return;
+      const again = { text: entry.text, spoken: entry.spoken, signed: entry.signed, replay: true };
+      const current = this._item;
+      this._queue.unshift(again);
+      if (current && current.text !== entry.text) this._queue.splice(1, 0, current);
+      if (this._paused) {
+        this._paused = false;
+        callViewer('play');
+      }
+      if (this._playing) this.skip();
+      else this._flush();
+    }
+
+    /**
+     * Change the playback speed, re-timing the utterance in progress.
+     * @param {number} rate - multiple of the pose's natural speed
+     */
+    setPlaybackRate(rate) {
+      const next = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, Number(rate) || DEFAULT_PLAYBACK_RATE));
+      const ratio = this.playbackRate / next;
+      this.playbackRate = next;
+      applyPlaybackRate(next);
+      if (this._current) {
+        // Same position in the pose, measured in wall-clock time at the new rate.
+        const now = Date.now();
+        const running = this._current.resumedAt !== null;
+        if (running) this._current.elapsed += now - this._current.resumedAt;
+        this._current.elapsed *= ratio;
+        this._current.duration *= ratio;
+        if (running) {
+          this._current.resumedAt = now;
+          this._runTimers();
+        }
+      }
+    }
+
+    get paused() {
+      return this._paused;
+    }
+
+    _changed() {
+      if (typeof this.onChange === 'function') this.onChange();
+    }
+
+    _elapsed() {
+      const { elapsed, resumedAt } = this._current;
+      return elapsed + (resumedAt ? Date.now() - resumedAt : 0);
+    }
+
+    _emitProgress(state, percent) {
+      if (!this._item || !this._current) return;
+      const detail = {
+        state,
+        text: this._item.text,
+        percent: Math.round(percent),
+        duration: Math.round(this._current.duration),
+      };
+      if (this._item.words) detail.wordIndex = wordAt(this._item.words, percent / 100);
+      window.dispatchEvent(new CustomEvent('avatar:progress', { detail }));
+      if (window.socket && window.socket.connected) {
+        window.socket.emit('signingProgress', detail);
+      }
+    }
+
+    /** Begin (or re-time) the current utterance's signing window. */
+    _startSigning(duration) {
+      const first = !this._current;
+      if (first) {
+        this._current = { duration, elapsed: 0, resumedAt: this._paused ? null : Date.now() };
+        this._emitProgress('started', 0);
+      } else {
+        this._current.duration = duration;
+      }
+      if (!this._paused) this._runTimers();
+    }
+
+    _runTimers() {
+      clearInterval(this._progressTimer);
+      this._progressTimer = setInterval(() => {
+        this._emitProgress('progress', Math.min(99, (this._elapsed() / this._current.duration) * 100));
+      }, PROGRESS_INTERVAL);
+      this._scheduleNext(Math.max(0, this._current.duration - this._elapsed()));
+    }
+
+    _finishCurrent() {
+      clearInterval(this._progressTimer);
+      if (this._current) this._emitProgress('finished', 100);
+      this._current = null;
     }
 
     _flush() {
-      if (this._queue.length === 0) {
+      this._finishCurrent();
+      this._item = null;
+      if (this._queue.length === 0 || this._paused) {
         this._playing = false;
-        setStatus('');
+        setStatus(this._paused && this._queue.length ? 'Paused.' : '');
         // Notify the hearing peer that the avatar finished signing.
-        if (this._hasPlayed) {
+        if (this._hasPlayed && this._queue.length === 0) {
           if (window.socket && window.socket.connected) {
             window.socket.emit('signingDone');
           }
@@ -138,19 +394,28 @@
       this._hasPlayed = true;
 
       this._playing = true;
-      const { text, spoken, signed } = this._queue.shift();
-      const duration = estimateDuration(text);
+      const item = this._queue.shift();
+      this._item = item;
+      const { text, spoken, signed } = item;
+      const generation = ++this._generation;
+      const estimate = estimateDuration(text) * (DEFAULT_PLAYBACK_RATE / this.playbackRate);
+
+      if (!item.replay) {
+        this.history.push({ text, spoken, signed, at: Date.now() });
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+      }
+      this._changed();
 
       try {
         setStatus('Signing…');
-        const src = buildLocalPoseUrl(text, spoken, signed);
+        let src = buildLocalPoseUrl(text, spoken, signed);
+        // pose-viewer only reloads when `src` changes, so signing the same
+        // text again (a replay, or a repeated word) needs a distinct URL.
+        // The /pose route ignores the extra parameter.
+        if (viewer && viewer.getAttribute('src') === src) src += `&n=${generation}`;
         if (viewer) {
           viewer.setAttribute('src', src);
-          try {
-            viewer.setAttribute('playbackRate', String(DEFAULT_PLAYBACK_RATE));
-            if (typeof viewer.playbackRate !== 'undefined')
-              viewer.playbackRate = DEFAULT_PLAYBACK_RATE;
-          } catch (_) { /* ignore if unsupported */ }
+          applyPlaybackRate(this.playbackRate);
         }
       } catch (e) {
         console.error('[SigningQueue] render error', e);
@@ -160,15 +425,20 @@
         return;
       }
 
-      // Primary completion signal: pose-viewer fires `firstRender$` when the
-      // first frame is drawn. We (re)start the duration timer at that point so
-      // network fetch time doesn't consume signing time.
-      let timerStarted = false;
-      const onFirstRender = () => {
-        if (timerStarted) return;
-        timerStarted = true;
-        clearTimeout(this._timer);
-        this._scheduleNext(duration);
+      // pose-viewer fires `firstRender$` once the pose is fetched and its first
+      // frame drawn, so fetch time doesn't consume signing time. Start on the
+      // estimate, then re-time with the pose's real length.
+      const onFirstRender = async () => {
+        if (generation !== this._generation) return;
+        applyPlaybackRate(this.playbackRate);
+        if (this._paused) callViewer('pause');
+        this._startSigning(estimate);
+        try {
+          const measured = await measurePoseDuration(this.playbackRate);
+          if (measured && generation === this._generation) this._startSigning(measured);
+        } catch (err) {
+          console.warn('[SigningQueue] could not read pose length, using estimate', err);
+        }
       };
 
       if (viewer) {
@@ -176,8 +446,8 @@
       }
 
       // Fallback: if firstRender$ never fires (e.g. network error or
-      // unsupported browser), advance after duration + a generous fetch buffer.
-      this._scheduleNext(duration + 3000, () => {
+      // unsupported browser), advance after the estimate plus the fetch grace.
+      this._scheduleNext(estimate + FETCH_GRACE, () => {
         if (viewer) viewer.removeEventListener('firstRender$', onFirstRender);
       });
     }
@@ -193,6 +463,63 @@
 
   const queue = new SigningQueue();
 
+  // ---------------------------------------------------------------------------
+  // Playback controls and history
+  // ---------------------------------------------------------------------------
+  const pauseBtn = container.querySelector('#avatar-pause');
+  const replayBtn = container.querySelector('#avatar-replay');
+  const skipBtn = container.querySelector('#avatar-skip');
+  const speedEl = container.querySelector('#avatar-speed');
+  const historyToggle = container.querySelector('#avatar-history-toggle');
+  const historyEl = container.querySelector('#avatar-history');
+
+  function renderControls() {
+    if (pauseBtn) {
+      pauseBtn.textContent = queue.paused ? '▶' : '⏸';
+      pauseBtn.title = queue.paused ? 'Resume' : 'Pause';
+    }
+    if (replayBtn) replayBtn.disabled = queue.history.length === 0;
+    if (!historyEl) return;
+    // Newest first; each entry replays its utterance when clicked.
+    historyEl.innerHTML = '';
+    queue.history.slice().reverse().forEach((entry) => {
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.title = 'Sign again';
+      btn.textContent = entry.text;
+      btn.addEventListener('click', () => queue.replay(entry));
+      const time = document.createElement('time');
+      time.textContent = new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      li.append(btn, time);
+      historyEl.appendChild(li);
+    });
+  }
+  queue.onChange = renderControls;
+
+  if (pauseBtn) pauseBtn.addEventListener('click', () => (queue.paused ? queue.resume() : queue.pause()));
+  if (replayBtn) replayBtn.addEventListener('click', () => queue.replay());
+  if (skipBtn) skipBtn.addEventListener('click', () => queue.skip());
+  if (historyToggle && historyEl) {
+    historyToggle.addEventListener('click', () => {
+      historyEl.hidden = !historyEl.hidden;
+      historyToggle.setAttribute('aria-expanded', String(!historyEl.hidden));
+    });
+  }
+
+  const savedSpeed = parseFloat(localStorage.getItem(SPEED_STORAGE_KEY));
+  queue.setPlaybackRate(Number.isFinite(savedSpeed) ? savedSpeed : DEFAULT_PLAYBACK_RATE);
+  if (speedEl) {
+    const rates = [...new Set([...PLAYBACK_RATES, queue.playbackRate])].sort((a, b) => a - b);
+    speedEl.innerHTML = rates.map((r) => `<option value="${r}">${r}×</option>`).join('');
+    speedEl.value = String(queue.playbackRate);
+    speedEl.addEventListener('change', () => {
+      queue.setPlaybackRate(speedEl.value);
+      localStorage.setItem(SPEED_STORAGE_KEY, String(queue.playbackRate));
+    });
+  }
+  renderControls();
+
   /**
    * setText — drop-in replacement for the old debounced setter.
    * Callers that want queue semantics should prefer `enqueue()` directly.
@@ -203,9 +530,9 @@
     queue.enqueue(text, spoken, signed);
   }
 
-  /** Public enqueue: add a single utterance to the signing queue. */
-  function enqueue(text, spoken = spokenEl.value, signed = signedEl.value) {
-    queue.enqueue(text, spoken, signed);
+  /** Public enqueue: add a single utterance (optionally with STT word timings) to the signing queue. */
+  function enqueue(text, spoken = spokenEl.value, signed = signedEl.value, options = {}) {
+    queue.enqueue(text, spoken, signed, options);
   }
 
   /** Public interrupt: clear the queue and halt the current animation. */
@@ -213,31 +540,29 @@
     queue.interrupt();
   }
 
+  /** Replace the in-progress speed (also updates the speed picker). */
+  function setPlaybackRate(rate) {
+    queue.setPlaybackRate(rate);
+    if (speedEl) speedEl.value = String(queue.playbackRate);
+  }
+
 
   window.avatar = {
     setText,    // window.avatar.setText(text, spoken, signed)  — queues the utterance
-    enqueue,    // window.avatar.enqueue(text, spoken, signed)  — explicit queue API
+    enqueue,    // window.avatar.enqueue(text, spoken, signed, { words })  — explicit queue API
     interrupt,  // window.avatar.interrupt()                   — clear queue + stop
+    pause: () => queue.pause(),
+    resume: () => queue.resume(),
+    skip: () => queue.skip(),             // abandon the current utterance
+    replay: (entry) => queue.replay(entry), // last utterance, or a history entry
+    setPlaybackRate,
+    getPlaybackRate: () => queue.playbackRate,
+    getHistory: () => queue.history.slice(),
     setSpoken: (v) => (spokenEl.value = v || 'en'),
     setSigned: (v) => (signedEl.value = v || 'ase'),
     getSpoken: () => spokenEl.value,
     getSigned: () => signedEl.value,
   };
 
-  // listen to first render for fps/duration 
-  if (viewer) {
-    viewer.addEventListener('firstRender$', async () => {
-      try {
-        const pose = await viewer.getPose();
-        void pose;
-      } catch { }
-      try {
-        viewer.setAttribute('playbackRate', String(DEFAULT_PLAYBACK_RATE));
-        if (typeof viewer.playbackRate !== 'undefined') viewer.playbackRate = DEFAULT_PLAYBACK_RATE;
-      } catch (e) {
-      }
-    });
-  }
-
   setStatus('Ready.');
 })();
@@ -0,0 +1,136 @@
+// public/chat.js
+// Typed chat on both call pages — the way to keep talking when sign
+// recognition or captions let the conversation down. Messages travel over each
+// peer's `captions` data channel. Every message is also sent to the server
+// (`chat`), which logs it in the room transcript and relays it when any peer
+// has no open channel; receivers drop duplicates by id. Messages from hearing
+// users are signed by the deaf side's avatar; deaf users can choose to have
+// theirs spoken to the hearing side (server TTS).
+//
+// Exposes window.TandemChat:
+//   init(userType)        wire up #chatPanel once window.socket exists
+//   send(text)            send a message from this user
+//   receive(message, from) handle a message from a peer (data channel or socket)
+
+const MAX_MESSAGE_LENGTH = 1000; // matches MAX_CHAT_LENGTH in server.js
+const MAX_LOG_ENTRIES = 200;
+const MAX_SEEN_IDS = 500;
+const SPEAK_STORAGE_KEY = 'tandem.chatSpeak';
+
+let userType = null;
+let unread = 0;
+const seen = new Set();
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/** Remember a message id; returns false if it was already seen. */
+function remember(id) {
+  if (!id) return true;
+  if (seen.has(id)) return false;
+  seen.add(id);
+  if (seen.size > MAX_SEEN_IDS) seen.delete(seen.values().next().value);
+  return true;
+}
+
+function updateUnread() {
+  const badge = document.getElementById('chatUnread');
+  if (!badge) return;
+  badge.textContent = String(unread);
+  badge.hidden = unread === 0;
+}
+
+/**
+ * @param {object} entry
+ * @param {string} entry.text
+ * @param {boolean} entry.isLocal
+ * @param {string} [entry.from] - sender socket id (remote messages)
+ */
+function appendMessage({ text, isLocal, from }) {
+  const log = document.getElementById('chatLog');
+  if (!log) return;
+  const item = document.createElement('li');
+  item.className = `chat-msg ${isLocal ? 'local' : 'remote'}`;
+  const who = document.createElement('small');
+  who.textContent = isLocal ? 'You' : window.TandemApp.peerLabel(from);
+  const body = document.createElement('span');
+  body.textContent = text; // never innerHTML — this is user input
+  item.append(who, body);
+  log.appendChild(item);
+  while (log.children.length > MAX_LOG_ENTRIES) log.firstElementChild.remove();
+  log.scrollTop = log.scrollHeight;
+
+  const panel = document.getElementById('chatPanel');
+  if (!isLocal && panel && panel.hidden) {
+    unread++;
+    updateUnread();
+  }
+}
+
+function send(text) {
+  const trimmed = String(text).trim().slice(0, MAX_MESSAGE_LENGTH);
+  if (!trimmed) return;
+  const id = makeId();
+  remember(id);
+  window.TandemApp.broadcastData({ type: 'chat', id, text: trimmed, role: userType });
+
+  const speakEl = document.getElementById('chatSpeak');
+  const speak = Boolean(speakEl && speakEl.checked);
+  const relay = !window.TandemApp.allDataChannelsOpen();
+  if (window.socket && window.socket.connected) {
+    window.socket.emit('chat', { id, text: trimmed, relay, speak });
+  }
+  appendMessage({ text: trimmed, isLocal: true });
+}
+
+/**
+ * @param {{ id?: string, text: string, role?: string }} message
+ * @param {string} from - the sender's socket id
+ */
+function receive(message, from) {
+  if (!message || typeof message.text !== 'string' || !remember(message.id)) return;
+  const text = message.text.slice(0, MAX_MESSAGE_LENGTH);
+  appendMessage({ text, isLocal: false, from });
+  // Sign what the hearing user typed, like their speech.
+  if (message.role === 'hearing' && window.avatar && typeof window.avatar.enqueue === 'function') {
+    window.avatar.enqueue(text, 'en', 'ase');
+  }
+}
+
+function init(type) {
+  userType = type;
+  const btn = document.getElementById('chatToggle');
+  const panel = document.getElementById('chatPanel');
+  const form = document.getElementById('chatForm');
+  const input = document.getElementById('chatInput');
+  if (!btn || !panel || !form || !input) return;
+
+  btn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute('aria-expanded', String(!panel.hidden));
+    if (!panel.hidden) {
+      unread = 0;
+      updateUnread();
+      input.focus();
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    send(input.value);
+    input.value = '';
+  });
+
+  const speakEl = document.getElementById('chatSpeak');
+  if (speakEl) {
+    speakEl.checked = localStorage.getItem(SPEAK_STORAGE_KEY) === 'on';
+    speakEl.addEventListener('change', () => {
+      localStorage.setItem(SPEAK_STORAGE_KEY, speakEl.checked ? 'on' : 'off');
+    });
+  }
+
+  window.socket.on('chat', (data) => receive(data, data && data.from));
+}
+
+window.TandemChat = { init, send, receive };
@@ -1,12 +1,538 @@
 // deaf.js - ASL Recognition for Deaf User
 // NOTE: showPillToast() is provided by script.js (loaded before this file).
 
-let lastASLPrediction = '';
-const aslHistory = [];
+// ---------------------------------------------------------------------------
+// Voice profile — how this user's signs sound when spoken to the hearing side.
+// Persisted per browser in localStorage and sent to the server with `join`
+// and on every change (`setPreferences`).
+// ---------------------------------------------------------------------------
+const VOICE_STORAGE_KEY = 'tandem.voiceProfile';
+
+const VOICE_LANGUAGES = {
+  'en-US': 'English (US)',
+  'en-GB': 'English (UK)',
+  'es-US': 'Spanish (US)',
+  'fr-FR': 'French',
+};
+
+// Google Cloud WaveNet voices per language. Local engines ignore the voice
+// name and use only the language, rate and pitch.
+const VOICE_PRESETS = {
+  'en-US': [
+    { voiceName: 'en-US-Wavenet-D', ssmlGender: 'MALE', label: 'Male (D)' },
+    { voiceName: 'en-US-Wavenet-A', ssmlGender: 'MALE', label: 'Male (A)' },
+    { voiceName: 'en-US-Wavenet-F', ssmlGender: 'FEMALE', label: 'Female (F)' },
+    { voiceName: 'en-US-Wavenet-C', ssmlGender: 'FEMALE', label: 'Female (C)' },
+  ],
+  'en-GB': [
+    { voiceName: 'en-GB-Wavenet-B', ssmlGender: 'MALE', label: 'Male (B)' },
+    { voiceName: 'en-GB-Wavenet-A', ssmlGender: 'FEMALE', label: 'Female (A)' },
+  ],
+  'es-US': [
+    { voiceName: 'es-US-Wavenet-B', ssmlGender: 'MALE', label: 'Male (B)' },
+    { voiceName: 'es-US-Wavenet-A', ssmlGender: 'FEMALE', label: 'Female (A)' },
+  ],
+  'fr-FR': [
+    { voiceName: 'fr-FR-Wavenet-B', ssmlGender: 'MALE', label: 'Male (B)' },
+    { voiceName: 'fr-FR-Wavenet-A', ssmlGender: 'FEMALE', label: 'Female (A)' },
+  ],
+};
+
+const DEFAULT_VOICE = {
+  languageCode: 'en-US',
+  voiceName: 'en-US-Wavenet-D',
+  ssmlGender: 'MALE',
+  speakingRate: 1.0,
+  pitch: 0,
+};
+
+function loadVoiceProfile() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VOICE_STORAGE_KEY) || 'null');
+    if (saved && VOICE_PRESETS[saved.languageCode]) return { ...DEFAULT_VOICE, ...saved };
+  } catch (e) {
+    console.warn('[voice] ignoring corrupt saved profile', e);
+  }
+  return { ...DEFAULT_VOICE };
+}
+
+// Single shared object: initSocket() keeps a reference to it, so a reconnect
+// re-joins with the latest profile.
+const voiceProfile = loadVoiceProfile();
+
+function saveVoiceProfile() {
+  try {
+    localStorage.setItem(VOICE_STORAGE_KEY, JSON.stringify(voiceProfile));
+  } catch (e) {
+    console.warn('[voice] could not save profile', e);
+  }
+  if (window.socket && window.socket.connected) {
+    window.socket.emit('setPreferences', { voice: voiceProfile });
+  }
+}
+
+function initVoicePicker() {
+  const btn = document.getElementById('voiceSettingsBtn');
+  const panel = document.getElementById('voicePanel');
+  const languageEl = document.getElementById('voiceLanguage');
+  const nameEl = document.getElementById('voiceName');
+  const rateEl = document.getElementById('voiceRate');
+  const pitchEl = document.getElementById('voicePitch');
+  const rateValue = document.getElementById('voiceRateValue');
+  const pitchValue = document.getElementById('voicePitchValue');
+  if (!btn || !panel) return;
+
+  btn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+
+  languageEl.innerHTML = Object.entries(VOICE_LANGUAGES)
+    .map(([code, label]) => `<option value="${code}">${label}</option>`)
+    .join('');
+
+  function renderVoices() {
+    const presets = VOICE_PRESETS[voiceProfile.languageCode] || [];
+    nameEl.innerHTML = presets
+      .map(p => `<option value="${p.voiceName}">${p.label}</option>`)
+      .join('');
+    nameEl.value = voiceProfile.voiceName;
+  }
+
+  function renderValues() {
+    rateValue.textContent = `${Number(voiceProfile.speakingRate).toFixed(2)}×`;
+    pitchValue.textContent = `${voiceProfile.pitch > 0 ? '+' : ''}${voiceProfile.pitch}`;
+  }
+
+  languageEl.value = voiceProfile.languageCode;
+  rateEl.value = voiceProfile.speakingRate;
+  pitchEl.value = voiceProfile.pitch;
+  renderVoices();
+  renderValues();
+
+  languageEl.addEventListener('change', () => {
+    // Switching language picks that language's first voice.
+    const [first] = VOICE_PRESETS[languageEl.value];
+    Object.assign(voiceProfile, { languageCode: languageEl.value, voiceName: first.voiceName, ssmlGender: first.ssmlGender });
+    renderVoices();
+    saveVoiceProfile();
+  });
+
+  nameEl.addEventListener('change', () => {
+    const preset = VOICE_PRESETS[voiceProfile.languageCode].find(p => p.voiceName === nameEl.value);
+    if (!preset) return;
+    Object.assign(voiceProfile, { voiceName: preset.voiceName, ssmlGender: preset.ssmlGender });
+    saveVoiceProfile();
+  });
+
+  // Sliders update the readout live but only save / notify the server on release.
+  rateEl.addEventListener('input', () => {
+    voiceProfile.speakingRate = parseFloat(rateEl.value);
+    renderValues();
+  });
+  pitchEl.addEventListener('input', () => {
+    voiceProfile.pitch = parseInt(pitchEl.value, 10);
+    renderValues();
+  });
+  rateEl.addEventListener('change', saveVoiceProfile);
+  pitchEl.addEventListener('change', saveVoiceProfile);
+}
+
 // Use a relative URL so requests go through the Node.js /api/predict proxy.
 // This avoids CORS and works regardless of where the app is deployed.
 const ASL_API_URL = '';
 
+// ---------------------------------------------------------------------------
+// Recognition engine — 'server' sends landmarks to the Python model through
+// the Node proxy; 'browser' runs the TF.js export of the model in this tab
+// (public/aslModel.js), so no Python process is needed. It can only be picked
+// once a model export is installed. The engine is never switched behind the
+// user's back: if the browser model fails to load, the settings panel says so
+// and frames fall back to the finger-count heuristic.
+// ---------------------------------------------------------------------------
+const ASL_ENGINE_STORAGE_KEY = 'tandem.aslEngine';
+const ASL_FPS_STORAGE_KEY = 'tandem.aslTargetFps';
+const DEFAULT_TARGET_FPS = 15;
+const aslSettings = {
+  engine: localStorage.getItem(ASL_ENGINE_STORAGE_KEY) === 'browser' ? 'browser' : 'server',
+  targetFps: parseInt(localStorage.getItem(ASL_FPS_STORAGE_KEY), 10) || DEFAULT_TARGET_FPS,
+};
+
+/** True when the browser engine is selected; throws if its model isn't loaded. */
+function useBrowserModel() {
+  if (aslSettings.engine !== 'browser') return false;
+  if (!window.aslBrowserModel || !window.aslBrowserModel.isReady()) {
+    throw new Error('in-browser model not loaded');
+  }
+  return true;
+}
+
+/** POST to an /api/predict* route; resolves with the JSON body or throws. */
+async function requestAslApi(route, body) {
+  const resp = await fetch(`${ASL_API_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} ${data.error || ''}`.trim());
+  return data;
+}
+
+/** Classify one frame with the selected engine → { prediction, probability }. */
+async function classifyFrame(features) {
+  return useBrowserModel()
+    ? window.aslBrowserModel.predict(features)
+    : requestAslApi('/api/predict', { features });
+}
+
+/** Classify a window of frames with the selected engine. */
+async function classifySequence(frames) {
+  return useBrowserModel()
+    ? window.aslBrowserModel.predictSequence(frames)
+    : requestAslApi('/api/predict-sequence', { frames });
+}
+
+// ---------------------------------------------------------------------------
+// Stability filter — per-frame predictions flicker, so a label is only
+// accepted once it wins a majority of the last `window` frames with a mean
+// confidence of at least `enter`. It then stays held (and is not emitted
+// again) until it keeps fewer than half the votes it needed or its confidence
+// falls below `exit`; releasing and re-forming the sign emits it again (the LL
+// in HELLO). With `holdRepeat` set, holding a sign that long also repeats it.
+// ---------------------------------------------------------------------------
+const STABILITY_STORAGE_KEY = 'tandem.aslStability';
+const DEFAULT_STABILITY = {
+  window: 7,        // frames voted over
+  majority: 0.6,    // share of the window the label must win
+  enter: 0.6,       // mean confidence to accept a label
+  exit: 0.35,       // mean confidence below which a held label is released
+  holdRepeat: 0,    // ms of holding that repeats the sign; 0 = off
+};
+
+function loadStability() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STABILITY_STORAGE_KEY) || 'null');
+    if (saved && typeof saved === 'object') return { ...DEFAULT_STABILITY, ...saved };
+  } catch (e) {
+    console.warn('[ASL] ignoring corrupt stability settings', e);
+  }
+  return { ...DEFAULT_STABILITY };
+}
+
+const stability = loadStability();
+
+class StabilityFilter {
+  constructor(settings) {
+    this.settings = settings; // shared object — panel edits apply immediately
+    this.frames = [];         // Array<{ label, probability }>, label null = nothing recognised
+    this.held = null;         // label currently accepted
+    this.heldSince = 0;
+  }
+
+  reset() {
+    this.frames = [];
+    this.held = null;
+  }
+
+  /** Votes and mean confidence for `label` over the current window. */
+  _tally(label) {
+    const votes = this.frames.filter(f => f.label === label);
+    const confidence = votes.length ? votes.reduce((sum, f) => sum + f.probability, 0) / votes.length : 0;
+    return { votes: votes.length, confidence };
+  }
+
+  /**
+   * Add one frame's prediction.
+   * @param {string|null} label
+   * @param {number} probability
+   * @returns {null | { label, confidence, votes, window, repeat }} an accepted sign
+   */
+  push(label, probability, now = Date.now()) {
+    const { window: size, majority, enter, exit, holdRepeat } = this.settings;
+    this.frames.push({ label, probability });
+    while (this.frames.length > size) this.frames.shift();
+    const needed = Math.ceil(size * majority);
+
+    if (this.held) {
+      const { votes, confidence } = this._tally(this.held);
+      if (votes < Math.ceil(needed / 2) || confidence < exit) {
+        this.held = null; // released — the next formation counts again
+      } else if (holdRepeat > 0 && now - this.heldSince >= holdRepeat) {
+        this.heldSince = now;
+        return { label: this.held, confidence, votes, window: size, repeat: true };
+      } else {
+        return null;
+      }
+    }
+
+    if (!label || this.frames.length < size) return null;
+    const { votes, confidence } = this._tally(label);
+    if (votes < needed || confidence < enter) return null;
+    this.held = label;
+    this.heldSince = now;
+    return { label, confidence, votes, window: size, repeat: false };
+  }
+}
+
+const stabilityFilter = new StabilityFilter(stability);
+
+/** Thresholds in force, sent with each prediction so the receiving side can judge it. */
+function stabilityReport(accepted) {
+  return {
+    confidence: Math.round(accepted.confidence * 100) / 100,
+    votes: `${accepted.votes}/${accepted.window}`,
+    thresholds: { majority: stability.majority, enter: stability.enter, exit: stability.exit },
+  };
+}
+
+function initStabilitySettings() {
+  const fields = {
+    window: { el: document.getElementById('aslWindow'), format: v => `${v}` },
+    majority: { el: document.getElementById('aslMajority'), format: v => `${Math.round(v * 100)}%` },
+    enter: { el: document.getElementById('aslEnter'), format: v => v.toFixed(2) },
+    exit: { el: document.getElementById('aslExit'), format: v => v.toFixed(2) },
+  };
+  const holdEl = document.getElementById('aslHoldRepeat');
+  if (!holdEl) return;
+
+  function save() {
+    try {
+      localStorage.setItem(STABILITY_STORAGE_KEY, JSON.stringify(stability));
+    } catch (e) {
+      console.warn('[ASL] could not save stability settings', e);
+    }
+  }
+
+  for (const [key, { el, format }] of Object.entries(fields)) {
+    const valueEl = document.getElementById(`${el.id}Value`);
+    el.value = stability[key];
+    valueEl.textContent = format(stability[key]);
+    el.addEventListener('input', () => {
+      stability[key] = parseFloat(el.value);
+      // Hysteresis only works with exit below enter.
+      if (stability.exit > stability.enter) {
+        stability.exit = stability.enter;
+        fields.exit.el.value = stability.exit;
+        document.getElementById('aslExitValue').textContent = fields.exit.format(stability.exit);
+      }
+      valueEl.textContent = format(stability[key]);
+    });
+    el.addEventListener('change', save);
+  }
+
+  holdEl.value = String(stability.holdRepeat);
+  holdEl.addEventListener('change', () => {
+    stability.holdRepeat = parseInt(holdEl.value, 10) || 0;
+    save();
+  });
+}
+
+function initRecognitionSettings() {
+  const btn = document.getElementById('aslSettingsBtn');
+  const panel = document.getElementById('aslPanel');
+  const engineEl = document.getElementById('aslEngine');
+  const noteEl = document.getElementById('aslEngineStatus');
+  if (!btn || !panel) return;
+
+  btn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+
+  async function applyEngine() {
+    noteEl.classList.remove('error');
+    if (aslSettings.engine !== 'browser') {
+      noteEl.textContent = 'Landmarks are classified by the ASL API on the server.';
+      return;
+    }
+    noteEl.textContent = 'Loading in-browser model…';
+    try {
+      await window.aslBrowserModel.load();
+      noteEl.textContent = 'Classifying in this browser — no server round trip.';
+    } catch (err) {
+      console.warn('[ASL] in-browser model unavailable:', err);
+      if (aslSettings.engine !== 'browser') return; // switched away while loading
+      noteEl.classList.add('error');
+      noteEl.textContent = `In-browser model failed to load (${err.message}). ` +
+        'Only the finger-count fallback is running — choose Server (Python) or reload to retry.';
+      panel.hidden = false;
+      btn.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  initStabilitySettings();
+
+  const fpsEl = document.getElementById('aslTargetFps');
+  if (fpsEl) {
+    fpsEl.value = String(aslSettings.targetFps);
+    fpsEl.addEventListener('change', () => {
+      aslSettings.targetFps = parseInt(fpsEl.value, 10) || DEFAULT_TARGET_FPS;
+      localStorage.setItem(ASL_FPS_STORAGE_KEY, String(aslSettings.targetFps));
+    });
+  }
+
+  engineEl.value = aslSettings.engine;
+  engineEl.addEventListener('change', () => {
+    aslSettings.engine = engineEl.value;
+    localStorage.setItem(ASL_ENGINE_STORAGE_KEY, aslSettings.engine);
+    applyEngine();
+  });
+
+  // The in-browser engine stays off until a model export is installed.
+  const browserOption = engineEl.querySelector('option[value="browser"]');
+  window.aslBrowserModel.available().then((installed) => {
+    browserOption.disabled = !installed;
+    if (installed) return applyEngine();
+    browserOption.textContent = 'In this browser (no model installed)';
+    if (aslSettings.engine !== 'browser') return applyEngine();
+    aslSettings.engine = 'server';
+    engineEl.value = 'server';
+    noteEl.textContent = 'No in-browser model is installed — landmarks are classified by the ASL API on the server.';
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Recognition loop pacing — hand tracking and classification are far slower
+// than the display refresh, so frames are sent to MediaPipe at no more than
+// the target rate, never while it is still busy with the previous frame, and
+// slower still when classification takes longer than the frame budget. At most
+// one /api/predict request is in flight; frames that arrive meanwhile are
+// dropped (they still feed the sequence window). The rate achieved, the
+// classification latency and the dropped frames are shown in #aslStatus.
+// ---------------------------------------------------------------------------
+const PERF_INTERVAL = 1000;   // ms between readout updates
+const LATENCY_SMOOTHING = 0.2; // weight of the newest sample in the latency average
+const pipeline = {
+  handsBusy: false,    // MediaPipe is processing a frame
+  predictBusy: false,  // a classification request is in flight
+  lastSentAt: 0,
+  lastVideoTime: -1,
+  latency: 0,          // smoothed classification time, ms
+  processed: 0,        // frames tracked since the last readout
+  dropped: 0,          // frames dropped since the last readout
+};
+
+/** Minimum ms between frames: the target rate, or the classifier's pace if slower. */
+function frameInterval() {
+  return Math.max(1000 / aslSettings.targetFps, pipeline.latency);
+}
+
+/**
+ * Decide whether this animation frame should go to MediaPipe.
+ * @returns {boolean}
+ */
+function shouldSendFrame(video, now) {
+  if (video.readyState < 2 || video.currentTime === pipeline.lastVideoTime) return false;
+  if (now - pipeline.lastSentAt < frameInterval()) return false;
+  if (pipeline.handsBusy) {
+    pipeline.dropped++;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Classify one frame unless a request is already in flight.
+ * @returns {Promise<object|null>} the classifier's result, or null when dropped
+ * @throws when classification fails
+ */
+async function classifyPaced(features) {
+  if (pipeline.predictBusy) {
+    pipeline.dropped++;
+    return null;
+  }
+  pipeline.predictBusy = true;
+  const started = performance.now();
+  try {
+    return await classifyFrame(features);
+  } finally {
+    const elapsed = performance.now() - started;
+    pipeline.latency = pipeline.latency
+      ? pipeline.latency + (elapsed - pipeline.latency) * LATENCY_SMOOTHING
+      : elapsed;
+    pipeline.predictBusy = false;
+  }
+}
+
+function startPerfReadout(statusEl) {
+  if (!statusEl) return;
+  setInterval(() => {
+    const fps = pipeline.processed * 1000 / PERF_INTERVAL;
+    statusEl.textContent = `ASL: ${fps.toFixed(0)}/${aslSettings.targetFps} fps · ` +
+      `${Math.round(pipeline.latency)} ms · ${pipeline.dropped} dropped`;
+    statusEl.title = 'Frames processed per second (target), average classification time, ' +
+      'frames dropped in the last second';
+    pipeline.processed = 0;
+    pipeline.dropped = 0;
+  }, PERF_INTERVAL);
+}
+
+// ---------------------------------------------------------------------------
+// Sliding-window recognition for moving signs. The static classifier sees one
+// frame at a time, which is enough for most fingerspelled letters but not for
+// signs defined by movement (words, J, Z). Frames with a hand in view are
+// buffered and every SEQUENCE_STRIDE new frames the last SEQUENCE_WINDOW are
+// sent to /api/predict-sequence. Static predictions are only used for single
+// letters; words come from the sequence recognizer.
+// ---------------------------------------------------------------------------
+const SEQUENCE_WINDOW = 30;      // ~1 s of frames
+const SEQUENCE_STRIDE = 10;      // new frames between sequence requests
+const SEQUENCE_THRESHOLD = 0.6;  // min confidence for a word-level prediction
+const sequenceBuffer = [];       // Array<{ features, origins }>
+let framesSinceSequence = 0;
+let sequenceInFlight = false;
+
+/** Fingerspelled letters (and digits) come from the static classifier. */
+function isFingerspelling(label) {
+  return /^[A-Z0-9]$/.test(label);
+}
+
+function resetSequence() {
+  sequenceBuffer.length = 0;
+  framesSinceSequence = 0;
+}
+
+/**
+ * Add a frame to the window and, once enough new frames have arrived, ask the
+ * sequence recognizer about it. Requests never overlap — frames keep
+ * buffering while one is in flight.
+ */
+function pushSequenceFrame(features, origins) {
+  sequenceBuffer.push({ features, origins });
+  if (sequenceBuffer.length > SEQUENCE_WINDOW) sequenceBuffer.shift();
+  framesSinceSequence++;
+
+  if (sequenceBuffer.length < SEQUENCE_WINDOW || framesSinceSequence < SEQUENCE_STRIDE || sequenceInFlight) return;
+  framesSinceSequence = 0;
+  predictSequence(sequenceBuffer.slice());
+}
+
+async function predictSequence(frames) {
+  sequenceInFlight = true;
+  try {
+    const data = await classifySequence(frames);
+    console.log('[ASL] Sequence:', data.prediction, 'Confidence:', data.probability, `(${data.source})`);
+    // Letters from the static vote are left to the per-frame classifier —
+    // except traced letters (J, Z) which only the sequence can see.
+    const traced = data.prediction === 'J' || data.prediction === 'Z';
+    if (data.prediction && data.probability > SEQUENCE_THRESHOLD &&
+      (traced || !isFingerspelling(data.prediction))) {
+      showPrediction(data.prediction, {
+        confidence: Math.round(data.probability * 100) / 100,
+        source: 'sequence',
+        thresholds: { sequence: SEQUENCE_THRESHOLD },
+      });
+      // Start a fresh window so the same sign isn't recognised twice.
+      resetSequence();
+    }
+  } catch (e) {
+    console.warn('[ASL] sequence recognition failed:', e.message);
+  } finally {
+    sequenceInFlight = false;
+  }
+}
+
 
 (async function init() {
   try {
@@ -16,14 +542,24 @@ const ASL_API_URL = '';
     window.TandemApp.setStatus('Loading ICE configuration…');
     await window.TandemApp.loadIceServers();
 
-    window.TandemApp.setStatus('Creating peer connection…');
-    await window.TandemApp.createPeerConnection();
+    initVoicePicker();
+    initRecognitionSettings();
+    initCompose();
 
     window.TandemApp.setStatus('Connecting to signaling server…');
-    window.TandemApp.initSocket('deaf');
+    window.TandemApp.initSocket('deaf', { voice: voiceProfile });
+    window.TandemChat.init('deaf');
+    window.TandemTranscript.init();
+    window.TandemRecorder.init();
 
     window.TandemApp.setStatus('Waiting for peer…');
 
+    // The server corrected a fingerspelled word — show what was sent.
+    window.socket.on('fingerspelled', ({ spelled, word, corrected }) => {
+      const el = document.getElementById('aslPrediction');
+      if (el) el.textContent = corrected ? `${word} (${spelled})` : word;
+    });
+
     // Listen for the hearing user's TTS completion signal.
     // When the hearing peer finishes speaking a sign aloud, notify the deaf user.
     if (window.socket) {
@@ -86,6 +622,7 @@ async function initASL() {
   if (aslStatus) aslStatus.textContent = 'ASL: Ready - show your hand!';
 
   processVideo(aslVideo);
+  startPerfReadout(aslStatus);
 }
 
 function loadMediaPipe() {
@@ -135,7 +672,7 @@ function processVideo(video) {
     });
 
     hands.setOptions({
-      maxNumHands: 1,
+      maxNumHands: NUM_HANDS,
       modelComplexity: 1,
       minDetectionConfidence: 0.3,
       minTrackingConfidence: 0.3
@@ -143,70 +680,106 @@ function processVideo(video) {
 
     hands.onResults(onHandsResults);
 
-    function sendFrame() {
-      if (video.readyState >= 2) {
-        hands.send({ image: video });
-      }
+    async function sendFrame(now) {
       requestAnimationFrame(sendFrame);
+      if (!shouldSendFrame(video, now)) return;
+      pipeline.handsBusy = true;
+      pipeline.lastSentAt = now;
+      pipeline.lastVideoTime = video.currentTime;
+      try {
+        await hands.send({ image: video });
+        pipeline.processed++;
+      } catch (e) {
+        console.warn('[ASL] hand tracking failed:', e);
+      } finally {
+        pipeline.handsBusy = false;
+      }
     }
 
-    sendFrame();
+    requestAnimationFrame(sendFrame);
     console.log('Processing started');
   });
 }
 
 
+// ---------------------------------------------------------------------------
+// Feature vector — must match asl/features.py (what the model was trained on):
+// up to two hands in MediaPipe's detection order (not re-sorted by handedness:
+// the classifier was trained on detection order); each hand's 21 landmarks as x, y relative to the minimum x / y seen so far across
+// this and earlier hands; a missing hand is a block of zeros. asl_api.py
+// rejects any other length.
+// ---------------------------------------------------------------------------
+const FEATURES_PER_HAND = 42;
+const NUM_HANDS = 2;
+
+/**
+ * @param {object} results - MediaPipe Hands results with at least one hand
+ * @returns {{ features: number[], origins: Array<[number, number]|null>, hands: object[][] }}
+ *   origins holds each hand block's reference point (null for a missing hand)
+ *   so the server can recover absolute motion for moving signs.
+ */
+function buildFeatures(results) {
+  const hands = results.multiHandLandmarks.slice(0, NUM_HANDS);
+
+  const features = [];
+  const origins = [];
+  let minX = Infinity;
+  let minY = Infinity;
+  for (const landmarks of hands) {
+    for (const l of landmarks) {
+      minX = Math.min(minX, l.x);
+      minY = Math.min(minY, l.y);
+    }
+    for (const l of landmarks) {
+      features.push(l.x - minX, l.y - minY);
+    }
+    origins.push([minX, minY]);
+  }
+  while (features.length < FEATURES_PER_HAND * NUM_HANDS) features.push(0);
+  while (origins.length < NUM_HANDS) origins.push(null);
+  return { features, origins, hands };
+}
+
 async function onHandsResults(results) {
   if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
+    // The hand left the frame — a sign can't continue across the gap.
+    resetSequence();
+    stabilityFilter.reset();
+    onHandDropped();
     return;
   }
 
-  // Hand detected!
-  console.log('Hand detected!');
-  const landmarks = results.multiHandLandmarks[0];
-
-  // Extract features
-  const features = [];
-  const xCoords = landmarks.map(l => l.x);
-  const yCoords = landmarks.map(l => l.y);
-  const minX = Math.min(...xCoords);
-  const minY = Math.min(...yCoords);
-
-  for (let i = 0; i < landmarks.length; i++) {
-    features.push(landmarks[i].x - minX);
-    features.push(landmarks[i].y - minY);
+  const { features, origins, hands } = buildFeatures(results);
+  // The heuristic fallback reads a single hand — use the first one detected.
+  const landmarks = hands[0];
+  if (checkSendGesture(hands)) {
+    stabilityFilter.reset();
+    return;
   }
+  pushSequenceFrame(features, origins);
 
-  // Send landmarks to Python model via the Node.js /api/predict proxy.
+  // Classify in the browser, or send landmarks to the Python model via the
+  // Node.js /api/predict proxy. Every classified frame votes in the stability filter —
+  // low-confidence frames included, so noise drags a label's mean down.
+  let label = null;
+  let probability = 0;
   try {
-    const resp = await fetch(`${ASL_API_URL}/api/predict`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ features })
-    });
-
-    if (resp.ok) {
-      const data = await resp.json();
-      console.log('[ASL] Prediction:', data.prediction, 'Confidence:', data.probability);
-
-      // Threshold of 0.4 filters out low-confidence noise while still being responsive.
-      if (data.prediction && data.probability > 0.4) {
-        showPrediction(data.prediction);
-        return;
-      }
-    } else {
-      const err = await resp.json().catch(() => ({}));
-      console.warn('[ASL] API error:', resp.status, err.error || '');
+    const data = await classifyPaced(features);
+    if (!data) return; // dropped — the previous frame is still being classified
+    // Words are left to the sequence recognizer (see pushSequenceFrame).
+    if (data.prediction && isFingerspelling(data.prediction)) {
+      label = data.prediction;
+      probability = data.probability;
     }
   } catch (e) {
-    console.warn('[ASL] API unreachable (is asl_api.py running via npm run start:all?):', e.message);
+    console.warn('[ASL] classification failed (is asl_api.py running via npm run start:all?):', e.message);
+    // Fallback: the finger-count heuristic has no confidence of its own.
+    label = predictHeuristic(landmarks);
+    probability = label ? 1 : 0;
   }
 
-  // Fallback
-  const pred = predictHeuristic(landmarks);
-  if (pred) {
-    showPrediction(pred);
-  }
+  const accepted = stabilityFilter.push(label, probability);
+  if (accepted) showPrediction(accepted.label, stabilityReport(accepted));
 }
 
 function predictHeuristic(landmarks) {
@@ -238,18 +811,248 @@ function predictHeuristic(landmarks) {
   return null;
 }
 
-function showPrediction(prediction) {
-  if (prediction === lastASLPrediction) return;
+// ---------------------------------------------------------------------------
+// Fingerspelling — letters are collected into a word instead of being sent
+// (and spoken) one at a time. A word ends when the hand drops out of view or
+// no new letter arrives for FINGERSPELL_PAUSE; it is then sent as a single
+// aslPrediction flagged `fingerspelled`, which the server corrects against its
+// dictionary before relaying and speaking it. In-progress letters are shown
+// locally and relayed to peers as `fingerspelling`.
+// ---------------------------------------------------------------------------
+const FINGERSPELL_PAUSE = 1500;     // ms without a new letter that ends a word
+const HAND_DROP_GRACE = 300;        // ms the hand must stay gone to end a word
+const MAX_SPELLED_LETTERS = 32;
+const spelling = { letters: [], confidences: [], timer: null };
 
-  const now = Date.now();
-  // Debounce: don't fire faster than 700 ms to avoid flooding the API.
-  if (aslHistory.length > 0 && now - aslHistory[aslHistory.length - 1].time < 700) {
+function renderSpelling() {
+  const text = spelling.letters.join('');
+  const el = document.getElementById('aslPrediction');
+  if (el && text) el.textContent = `${text}…`;
+  if (window.socket && window.socket.connected) {
+    window.socket.emit('fingerspelling', { letters: text });
+  }
+}
+
+/**
+ * @param {string} letter - a letter accepted by the stability filter (which
+ *   already turns a held letter into one, and release-and-repeat into two)
+ * @param {number} confidence
+ */
+function addLetter(letter, confidence) {
+  if (spelling.letters.length >= MAX_SPELLED_LETTERS) finishWord();
+  spelling.letters.push(letter);
+  spelling.confidences.push(confidence);
+  renderSpelling();
+  scheduleWordEnd(FINGERSPELL_PAUSE);
+}
+
+function scheduleWordEnd(ms) {
+  clearTimeout(spelling.timer);
+  spelling.timer = setTimeout(finishWord, ms);
+}
+
+/** The hand left the frame: end the word unless it comes straight back. */
+function onHandDropped() {
+  if (spelling.letters.length) scheduleWordEnd(HAND_DROP_GRACE);
+}
+
+function finishWord() {
+  clearTimeout(spelling.timer);
+  const word = spelling.letters.join('');
+  // A word is only as certain as its least certain letter.
+  const confidence = spelling.confidences.length ? Math.min(...spelling.confidences) : 0;
+  spelling.letters = [];
+  spelling.confidences = [];
+  if (!word) return;
+  if (window.socket && window.socket.connected) {
+    window.socket.emit('fingerspelling', { letters: '' });
+  }
+  acceptWord(word, {
+    fingerspelled: true,
+    confidence: Math.round(confidence * 100) / 100,
+    thresholds: { majority: stability.majority, enter: stability.enter, exit: stability.exit },
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Compose mode — instead of sending each sign as it is recognised, words are
+// added to an editable draft (#composeText) that the signer can fix by typing,
+// deleting the last word or clearing it. The draft goes out as one
+// aslPrediction on the Send button, Enter, or the send gesture: both hands
+// held up with open palms for SEND_GESTURE_HOLD.
+// ---------------------------------------------------------------------------
+const COMPOSE_STORAGE_KEY = 'tandem.composeMode';
+const SEND_GESTURE_HOLD = 1000;     // ms both open palms must be held
+const SPELLING_ACK_TIMEOUT = 2000;  // ms to wait for the server's correction
+const compose = {
+  enabled: localStorage.getItem(COMPOSE_STORAGE_KEY) === 'on',
+  recognized: [],    // { word, confidence } per recognised word, in draft order
+  edited: false,     // the signer typed into the draft
+  pending: Promise.resolve(),  // words waiting to land in the draft, in order
+  generation: 0,     // bumped on clear, so queued words for an old draft are dropped
+  gestureSince: 0,
+  gestureFired: false,
+};
+
+function draftEl() {
+  return document.getElementById('composeText');
+}
+
+/** Correct fingerspelled letters on the server without relaying them. */
+function requestSpellingCorrection(letters) {
+  const fallback = { word: letters.toLowerCase(), corrected: false };
+  if (!window.socket || !window.socket.connected) return Promise.resolve(fallback);
+  return new Promise((resolve) => {
+    window.socket.timeout(SPELLING_ACK_TIMEOUT).emit('correctSpelling', { letters }, (err, result) => {
+      resolve(err || !result ? fallback : result);
+    });
+  });
+}
+
+function addToDraft(word, confidence) {
+  const el = draftEl();
+  if (!el || !word) return;
+  el.value = `${el.value.trim()} ${word}`.trim();
+  compose.recognized.push({ word, confidence });
+  const chip = document.getElementById('aslPrediction');
+  if (chip) chip.textContent = `+ ${word}`;
+}
+
+function deleteLastWord() {
+  const el = draftEl();
+  const words = el.value.trim().split(/\s+/);
+  const removed = words.pop();
+  el.value = words.join(' ');
+  // Typed words have no confidence to take back.
+  const last = compose.recognized[compose.recognized.length - 1];
+  if (last && last.word === removed) compose.recognized.pop();
+}
+
+function resetDraft() {
+  draftEl().value = '';
+  compose.recognized = [];
+  compose.edited = false;
+}
+
+/** Clear button: also drops words still waiting for their correction. */
+function clearDraft() {
+  resetDraft();
+  compose.generation++;
+}
+
+/** Send the whole draft as one prediction (finishing any word being spelled). */
+async function sendDraft() {
+  finishWord();
+  await compose.pending;
+  const text = draftEl().value.trim();
+  if (!text) return;
+  const extra = { composed: true };
+  const confidences = compose.recognized.map((r) => r.confidence).filter(Number.isFinite);
+  if (confidences.length) {
+    extra.confidence = Math.min(...confidences);
+  }
+  if (compose.edited) extra.edited = true;
+  emitPrediction(text, extra);
+  resetDraft();
+}
+
+/**
+ * Route a finished sign or fingerspelled word: straight to the peers, or
+ * into the draft in compose mode.
+ */
+function acceptWord(text, extra) {
+  if (!compose.enabled) {
+    emitPrediction(text, extra);
     return;
   }
+  // Corrections are requested at once but land in the order the words were
+  // signed, behind any still pending; so do signs that follow them.
+  const word = extra.fingerspelled
+    ? requestSpellingCorrection(text).then((result) => result.word)
+    : text;
+  const generation = compose.generation;
+  compose.pending = compose.pending
+    .then(() => word)
+    .then((w) => {
+      if (generation === compose.generation) addToDraft(w, extra.confidence);
+    });
+}
 
-  lastASLPrediction = prediction;
-  aslHistory.push({ prediction, time: now });
+function isOpenPalm(landmarks) {
+  // Index to pinky tips above their knuckles.
+  return [[8, 5], [12, 9], [16, 13], [20, 17]].every(([tip, base]) => landmarks[tip].y < landmarks[base].y);
+}
+
+/**
+ * Track the send gesture across frames.
+ * @param {object[][]} hands - landmarks per detected hand
+ * @returns {boolean} true while the gesture is shown (the frame is not a sign)
+ */
+function checkSendGesture(hands) {
+  if (!compose.enabled || hands.length < 2 || !hands.every(isOpenPalm)) {
+    compose.gestureSince = 0;
+    compose.gestureFired = false;
+    return false;
+  }
+  const now = Date.now();
+  if (!compose.gestureSince) compose.gestureSince = now;
+  if (!compose.gestureFired && now - compose.gestureSince >= SEND_GESTURE_HOLD) {
+    compose.gestureFired = true; // once per gesture, however long it is held
+    sendDraft();
+  }
+  return true;
+}
+
+function initCompose() {
+  const toggle = document.getElementById('composeToggle');
+  const bar = document.getElementById('composeBar');
+  const el = draftEl();
+  if (!toggle || !bar || !el) return;
+
+  function apply() {
+    toggle.setAttribute('aria-pressed', String(compose.enabled));
+    bar.hidden = !compose.enabled;
+  }
+
+  toggle.addEventListener('click', () => {
+    compose.enabled = !compose.enabled;
+    localStorage.setItem(COMPOSE_STORAGE_KEY, compose.enabled ? 'on' : 'off');
+    apply();
+  });
+  el.addEventListener('input', () => { compose.edited = true; });
+  el.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      sendDraft();
+    }
+  });
+  document.getElementById('composeDelete').addEventListener('click', deleteLastWord);
+  document.getElementById('composeClear').addEventListener('click', clearDraft);
+  document.getElementById('composeSend').addEventListener('click', sendDraft);
+  apply();
+}
+
+/**
+ * Route an accepted prediction: single letters build up a word; whole signs
+ * are accepted immediately (ending any word being spelled first).
+ * @param {string} prediction
+ * @param {object} report - { confidence, ... } sent along with the prediction
+ */
+function showPrediction(prediction, report) {
+  if (isFingerspelling(prediction)) {
+    addLetter(prediction, report.confidence);
+    return;
+  }
+  finishWord();
+  acceptWord(prediction, report);
+}
 
+/**
+ * Display a finished sign / word and send it to the peers (text + speech).
+ * @param {string} prediction
+ * @param {object} [extra] - e.g. { fingerspelled: true, confidence, votes, thresholds }
+ */
+function emitPrediction(prediction, extra = {}) {
   console.log('Showing:', prediction);
 
   const el = document.getElementById('aslPrediction');
@@ -257,6 +1060,6 @@ function showPrediction(prediction) {
 
   // Send to peer
   if (window.socket && window.socket.connected) {
-    window.socket.emit('aslPrediction', { prediction });
+    window.socket.emit('aslPrediction', { prediction, ...extra });
   }
 }
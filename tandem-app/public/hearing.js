@@ -3,19 +3,34 @@
 let aslPredictions = [];
 
 
-window.handleASLPrediction = function (prediction) {
+// In-progress fingerspelled letters per signer (socket id → "HEL").
+const spellingInProgress = new Map();
+
+/**
+ * @param {string} prediction - recognised sign text
+ * @param {string} [from] - socket id of the deaf participant who signed it
+ * @param {string} [spelled] - the raw letters, when prediction is a corrected fingerspelled word
+ * @param {{ confidence?: number, votes?: string, composed?: boolean }} [report] - the signer's
+ *   stability filter result; `composed` marks a sentence reviewed in compose mode
+ */
+window.handleASLPrediction = function (prediction, from, spelled, report = {}) {
   if (!prediction) return;
+  if (spelled) spellingInProgress.delete(from);
 
   const currentTime = Date.now();
 
   if (aslPredictions.length > 0) {
     const lastPrediction = aslPredictions[aslPredictions.length - 1];
-    if (currentTime - lastPrediction.time < 1000 && lastPrediction.text === prediction) {
+    if (currentTime - lastPrediction.time < 1000 && lastPrediction.text === prediction &&
+      lastPrediction.from === from) {
       return;
     }
   }
 
-  aslPredictions.push({ text: prediction, time: currentTime });
+  aslPredictions.push({
+    text: prediction, time: currentTime, from, spelled,
+    confidence: report.confidence, votes: report.votes, composed: report.composed,
+  });
   if (aslPredictions.length > 15) {
     aslPredictions.shift();
   }
@@ -23,9 +38,9 @@ window.handleASLPrediction = function (prediction) {
   updateASLDisplay();
   // Audio is spoken by Google Cloud TTS via the server (script.js playTTSAudio).
 
-  if (window.avatar && typeof window.avatar.setText === 'function') {
-    const fullText = aslPredictions.map(p => p.text).join(' ');
-    window.avatar.setText(fullText, 'en', 'ase');
+  // Sign only the new word — re-signing the whole history would repeat it.
+  if (window.avatar && typeof window.avatar.enqueue === 'function') {
+    window.avatar.enqueue(prediction, 'en', 'ase');
   }
 };
 
@@ -33,17 +48,157 @@ function updateASLDisplay() {
   const listEl = document.getElementById('aslPredictionsList');
   if (!listEl) return;
 
-  // Render each prediction as an animated pill chip
-  listEl.innerHTML = aslPredictions
-    .slice(-12)
-    .map(p => `<span class="sign-chip">${p.text}</span>`)
-    .join('');
+  // Render each prediction as an animated pill chip. With more than one
+  // signer in the room, each chip is prefixed with who signed it.
+  const recent = aslPredictions.slice(-12);
+  const multipleSigners = new Set(recent.map(p => p.from)).size > 1;
+  const label = (p) => (p.from ? window.TandemApp.peerLabel(p.from) : '');
+  const spellers = [...spellingInProgress.keys()];
+  const showLabels = multipleSigners || spellers.length > 1;
+  const title = (p) => [
+    p.spelled ? `Spelled ${p.spelled}` : label(p),
+    Number.isFinite(p.confidence) ? `${Math.round(p.confidence * 100)}% confident` : '',
+    p.votes ? `${p.votes} frames` : '',
+    p.composed ? 'Composed sentence' : '',
+  ].filter(Boolean).join(' · ');
+  // Sign text, spelled letters and peer labels all come from other clients —
+  // build the chips with textContent, never innerHTML.
+  const chip = (text, from, className) => {
+    const el = document.createElement('span');
+    el.className = className;
+    if (showLabels) {
+      const who = document.createElement('small');
+      who.textContent = `${label({ from })}:`;
+      el.append(who, ' ');
+    }
+    el.append(text);
+    return el;
+  };
+  listEl.replaceChildren(
+    ...recent.map((p) => {
+      const el = chip(p.text, p.from, 'sign-chip');
+      el.title = title(p);
+      return el;
+    }),
+    // Words still being fingerspelled, letter by letter.
+    ...spellers.map(from => chip(`${spellingInProgress.get(from)}…`, from, 'sign-chip spelling'))
+  );
 
   // Auto-scroll to bottom
   listEl.scrollTop = listEl.scrollHeight;
 }
 
 
+// ---------------------------------------------------------------------------
+// Caption settings — recognition language (per user, saved in localStorage)
+// and the room's custom vocabulary (shared, lives on the server).
+// ---------------------------------------------------------------------------
+const STT_STORAGE_KEY = 'tandem.sttLanguage';
+
+const STT_LANGUAGES = {
+  'en-US': 'English (US)',
+  'en-GB': 'English (UK)',
+  'en-AU': 'English (Australia)',
+  'es-US': 'Spanish (US)',
+  'es-ES': 'Spanish (Spain)',
+  'fr-FR': 'French',
+  'de-DE': 'German',
+};
+
+// Shared with initSocket() so a reconnect re-joins with the current language.
+// An empty languageCode lets the server fall back to its LANGUAGE_CODE.
+const sttSettings = { languageCode: localStorage.getItem(STT_STORAGE_KEY) || '' };
+
+function initCaptionSettings() {
+  const btn = document.getElementById('captionSettingsBtn');
+  const panel = document.getElementById('captionPanel');
+  const languageEl = document.getElementById('sttLanguage');
+  const vocabularyEl = document.getElementById('sttVocabulary');
+  const saveBtn = document.getElementById('sttVocabularySave');
+  if (!btn || !panel) return;
+
+  btn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+
+  languageEl.innerHTML = '<option value="">Server default</option>' +
+    Object.entries(STT_LANGUAGES)
+      .map(([code, label]) => `<option value="${code}">${label}</option>`)
+      .join('');
+  languageEl.value = sttSettings.languageCode;
+
+  languageEl.addEventListener('change', () => {
+    sttSettings.languageCode = languageEl.value;
+    localStorage.setItem(STT_STORAGE_KEY, sttSettings.languageCode);
+    if (window.socket && window.socket.connected && sttSettings.languageCode) {
+      window.socket.emit('setPreferences', { stt: sttSettings });
+    }
+  });
+
+  saveBtn.addEventListener('click', () => {
+    const phrases = vocabularyEl.value.split(/[\n,]/).map(p => p.trim()).filter(Boolean);
+    if (window.socket && window.socket.connected) {
+      window.socket.emit('setVocabulary', { phrases });
+    }
+  });
+
+  // The server sends the room's vocabulary on join and whenever anyone edits it.
+  window.socket.on('vocabulary', ({ phrases = [], from } = {}) => {
+    // Don't clobber an edit in progress with our own echo.
+    if (from && from === window.socket.id && document.activeElement === vocabularyEl) return;
+    vocabularyEl.value = phrases.join('\n');
+    if (from && from !== window.socket.id) {
+      showPillToast('tandem-vocab-toast', '📝 Vocabulary updated', '#60a5fa');
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Signing progress — the deaf participant's avatar reports when it starts,
+// how far along it is, and when it finishes each utterance.
+// ---------------------------------------------------------------------------
+function initSigningProgress() {
+  const strip = document.getElementById('signingProgress');
+  const textEl = document.getElementById('signingProgressText');
+  const fillEl = document.getElementById('signingProgressFill');
+  if (!strip) return;
+  let hideTimer = null;
+
+  window.socket.on('signingProgress', ({ state, text, percent, wordIndex }) => {
+    clearTimeout(hideTimer);
+    strip.hidden = false;
+    textEl.textContent = state === 'finished' ? 'Signed: ' : 'Signing: ';
+    if (Number.isInteger(wordIndex) && state !== 'finished') {
+      // Mark the word of your speech the avatar has reached.
+      text.split(/\s+/).forEach((word, i) => {
+        const span = document.createElement('span');
+        span.textContent = `${word} `;
+        if (i === wordIndex) span.className = 'signing-word-current';
+        textEl.appendChild(span);
+      });
+    } else {
+      textEl.append(text);
+    }
+    fillEl.style.width = `${percent}%`;
+    if (state === 'finished') {
+      hideTimer = setTimeout(() => { strip.hidden = true; }, 1500);
+    }
+  });
+}
+
+function initFingerspelling() {
+  window.socket.on('fingerspelling', (data) => {
+    const { letters, from } = data || {};
+    if (letters) spellingInProgress.set(from, letters);
+    else spellingInProgress.delete(from);
+    updateASLDisplay();
+  });
+  window.socket.on('peer_disconnected', ({ id }) => {
+    if (spellingInProgress.delete(id)) updateASLDisplay();
+  });
+}
+
 (async function init() {
   try {
     window.TandemApp.setStatus('Requesting camera and microphone…');
@@ -52,11 +207,14 @@ function updateASLDisplay() {
     window.TandemApp.setStatus('Loading ICE configuration…');
     await window.TandemApp.loadIceServers();
 
-    window.TandemApp.setStatus('Creating peer connection…');
-    await window.TandemApp.createPeerConnection();
-
     window.TandemApp.setStatus('Connecting to signaling server…');
-    window.TandemApp.initSocket('hearing');
+    window.TandemApp.initSocket('hearing', { stt: sttSettings });
+    initCaptionSettings();
+    initSigningProgress();
+    initFingerspelling();
+    window.TandemChat.init('hearing');
+    window.TandemTranscript.init();
+    window.TandemRecorder.init();
 
     window.TandemApp.setStatus('Waiting for peer… The deaf user\'s signs will appear here.');
   } catch (err) {
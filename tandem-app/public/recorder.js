@@ -0,0 +1,230 @@
+// public/recorder.js
+// Opt-in call recording, on both call pages. Pressing Record asks everyone
+// else in the room for consent (`recordingRequest` → `recordingState`, see
+// server/recording.js); nothing is captured until all have accepted. The
+// requester's browser then records a composite of the local video, the remote
+// video(s) and the signing avatar (deaf page), drawn onto a canvas with the
+// call audio mixed in, and optionally burns the latest caption into the
+// picture. When the recording stops, the video is downloaded together with a
+// WebVTT file cut from the room transcript for the same time span.
+//
+// Exposes window.TandemRecorder:
+//   init()   wire up #recordPanel once window.socket exists
+
+const FRAME_RATE = 25;
+const WIDTH = 1280;
+const HEIGHT = 720;
+const CAPTION_HOLD = 5000;        // ms a burned-in caption stays on screen
+const CAPTIONS_STORAGE_KEY = 'tandem.recordCaptions';
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+const STATUS_TEXT = {
+  idle: 'Not recording.',
+  pending: 'Waiting for everyone to agree…',
+  recording: '● Recording',
+  stopped: 'Recording stopped.',
+  cancelled: 'Recording request cancelled — the participants changed.',
+  declined: 'Recording declined.',
+};
+
+let session = null;   // latest recordingState from the server
+let capture = null;   // { recorder, chunks, audioContext, timer, startedAt } while this page records
+let caption = null;   // { text, speaker, time } — the latest transcript entry, for burn-in
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+/** Video elements to record: local first, then every remote participant. */
+function videoSources() {
+  const local = $('localVideo');
+  const remotes = [...document.querySelectorAll('video[data-peer-id]')];
+  return [local, ...remotes].filter((video) => video && video.srcObject);
+}
+
+/** The avatar's canvas, if the page has one (pose-viewer renders into its shadow root). */
+function avatarCanvas() {
+  const viewer = document.querySelector('#avatar-panel pose-viewer');
+  const root = viewer && (viewer.shadowRoot || viewer);
+  return root ? root.querySelector('canvas') : null;
+}
+
+/** Draw `source` letterboxed into the tile at x, y. */
+function drawTile(ctx, source, x, y, w, h) {
+  const sw = source.videoWidth || source.width;
+  const sh = source.videoHeight || source.height;
+  if (!sw || !sh) return;
+  const scale = Math.min(w / sw, h / sh);
+  const dw = sw * scale;
+  const dh = sh * scale;
+  ctx.drawImage(source, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+}
+
+function drawCaption(ctx) {
+  if (!caption || Date.now() - caption.time > CAPTION_HOLD) return;
+  const text = `${caption.speaker}: ${caption.text}`;
+  ctx.font = '28px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  const width = Math.min(WIDTH - 40, ctx.measureText(text).width + 32);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+  ctx.fillRect((WIDTH - width) / 2, HEIGHT - 64, width, 48);
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, WIDTH / 2, HEIGHT - 24, WIDTH - 72);
+}
+
+function drawFrame(ctx, burnCaptions) {
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  const sources = videoSources();
+  const avatar = avatarCanvas();
+  if (avatar) sources.push(avatar);
+  const tileWidth = WIDTH / Math.max(1, sources.length);
+  sources.forEach((source, i) => drawTile(ctx, source, i * tileWidth, 0, tileWidth, HEIGHT));
+  if (burnCaptions) drawCaption(ctx);
+}
+
+/** Mix the microphone and every remote participant's audio into one track. */
+function mixAudio() {
+  const audioContext = new AudioContext();
+  const destination = audioContext.createMediaStreamDestination();
+  for (const video of videoSources()) {
+    const stream = video.srcObject;
+    if (stream.getAudioTracks().length) {
+      audioContext.createMediaStreamSource(stream).connect(destination);
+    }
+  }
+  return { audioContext, tracks: destination.stream.getAudioTracks() };
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+function startCapture(startedAt) {
+  if (capture) return;
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const burnCaptions = $('recordCaptions').value === 'burned';
+  // A timer rather than requestAnimationFrame, which stops in background tabs.
+  const timer = setInterval(() => drawFrame(ctx, burnCaptions), 1000 / FRAME_RATE);
+  drawFrame(ctx, burnCaptions);
+
+  const { audioContext, tracks } = mixAudio();
+  const stream = new MediaStream([...canvas.captureStream(FRAME_RATE).getVideoTracks(), ...tracks]);
+  const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  recorder.onstop = () => finishCapture(chunks, recorder.mimeType || 'video/webm');
+  recorder.start(1000);
+  capture = { recorder, audioContext, timer, startedAt };
+  console.log('[recorder] recording started', { mimeType: recorder.mimeType });
+}
+
+function stopCapture() {
+  if (!capture) return;
+  clearInterval(capture.timer);
+  if (capture.recorder.state !== 'inactive') capture.recorder.stop();
+  capture.recorder.stream.getTracks().forEach((track) => track.stop());
+}
+
+/** Save the video and the matching WebVTT captions. */
+async function finishCapture(chunks, mimeType) {
+  const { startedAt, audioContext } = capture;
+  capture = null;
+  audioContext.close().catch(() => {});
+
+  const room = window.TandemApp.getRoomId();
+  const stamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+  const base = `tandem-${room}-${stamp}`;
+  download(new Blob(chunks, { type: mimeType }), `${base}.webm`);
+
+  const stoppedAt = (session && session.stoppedAt) || Date.now();
+  try {
+    const resp = await fetch(`/api/rooms/${encodeURIComponent(room)}/transcript?format=vtt` +
+      `&from=${startedAt}&to=${stoppedAt}`);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    download(await resp.blob(), `${base}.vtt`);
+  } catch (err) {
+    console.warn('[recorder] could not fetch captions for the recording:', err);
+  }
+}
+
+function render() {
+  const state = session ? session.state : 'idle';
+  const isMine = session && session.requestedBy === window.socket.id;
+  const btn = $('recordToggle');
+  btn.classList.toggle('recording', state === 'recording');
+  $('recordStatus').textContent = STATUS_TEXT[state] || '';
+  const active = state === 'pending' || state === 'recording';
+  $('recordStart').hidden = active;
+  $('recordStop').hidden = !active;
+  $('recordStop').textContent = state === 'pending' ? 'Cancel request' : 'Stop recording';
+
+  // Another participant is asking — show the consent prompt.
+  const asking = state === 'pending' && !isMine && session.awaiting.includes(window.socket.id);
+  $('recordConsent').hidden = !asking;
+  if (asking) {
+    $('recordConsentText').textContent =
+      `${window.TandemApp.peerLabel(session.requestedBy)} wants to record this call. Do you agree?`;
+  }
+}
+
+function onState(state) {
+  session = state;
+  if (state.state === 'recording' && state.requestedBy === window.socket.id) startCapture(state.startedAt);
+  if (state.state !== 'recording') stopCapture();
+  render();
+}
+
+function init() {
+  const btn = $('recordToggle');
+  const panel = $('recordPanel');
+  if (!btn || !panel) return;
+  if (typeof MediaRecorder === 'undefined') {
+    btn.disabled = true;
+    btn.title = 'Recording is not supported in this browser';
+    return;
+  }
+
+  btn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute('aria-expanded', String(!panel.hidden));
+  });
+
+  const captionsEl = $('recordCaptions');
+  captionsEl.value = localStorage.getItem(CAPTIONS_STORAGE_KEY) || 'burned';
+  captionsEl.addEventListener('change', () => localStorage.setItem(CAPTIONS_STORAGE_KEY, captionsEl.value));
+
+  $('recordStart').addEventListener('click', () => window.socket.emit('recordingRequest'));
+  $('recordStop').addEventListener('click', () => window.socket.emit('recordingStop'));
+  $('recordAccept').addEventListener('click', () => window.socket.emit('recordingConsent', { accept: true }));
+  $('recordDecline').addEventListener('click', () => window.socket.emit('recordingConsent', { accept: false }));
+
+  window.socket.on('recordingState', (state) => {
+    onState(state);
+    // Make sure a consent request is seen even with the panel closed.
+    if (state.state === 'pending' && state.requestedBy !== window.socket.id) {
+      panel.hidden = false;
+      btn.setAttribute('aria-expanded', 'true');
+    }
+  });
+  window.socket.on('transcriptEntry', (entry) => {
+    caption = { text: entry.text, speaker: entry.speaker, time: Date.now() };
+  });
+  render();
+}
+
+window.TandemRecorder = { init };
@@ -8,8 +8,14 @@ const toggleCameraBtn = document.getElementById('toggleCamera');
 
 let audioContext;
 let sourceNode;
-let processorNode;
+let captureNode;
 let audioStream;
+// Rate the capture worklet resamples to. Proposed with `join` and settled by
+// the server's `audioFormat` reply, which configures the recognizer to match.
+const DEFAULT_CAPTURE_RATE = 16000;
+let captureSampleRate = DEFAULT_CAPTURE_RATE;
+// Whether the worklet's voice activity detector currently hears speech.
+let isSpeaking = false;
 let isProcessingAudio = false;
 let audioProcessingInitialized = false;
 
@@ -17,50 +23,136 @@ let lastTranscriptUpdate = 0;
 const TRANSCRIPT_TIMEOUT = 3000;
 // Per-strip timers so local and remote resets don't cancel each other
 const _transcriptTimers = {};
+// Words the recognizer was less sure of than this are flagged in the caption.
+const LOW_WORD_CONFIDENCE = 0.6;
+const _wordHighlightTimers = {};
+const CAPTION_PLACEHOLDERS = {
+  local: 'Speak \u2014 your words appear here\u2026',
+  remote: 'Waiting for speech\u2026'
+};
 
-function setupDataChannel(channel) {
+function setupDataChannel(channel, peerId) {
   channel.onopen = () => {
-    console.log('Data channel is open and ready');
+    console.log(`Data channel to ${peerId} is open and ready`);
   };
 
   channel.onmessage = (event) => {
     try {
       const data = JSON.parse(event.data);
       if (data.type === 'transcript') {
-        updateTranscript(data.text, data.isFinal, false);
+        const words = Array.isArray(data.words) ? data.words : [];
+        updateTranscript(data.text, data.isFinal, false, peerId, words);
         // Only send FINAL transcripts to the avatar so an in-progress signing
         // animation is never preempted by an interim (partial) result.
         if (data.isFinal && window && window.avatar && typeof window.avatar.enqueue === 'function') {
-          window.avatar.enqueue(data.text, 'en', 'ase');
+          window.avatar.enqueue(data.text, 'en', 'ase', { words });
         }
       }
       if (data.type === 'aslPrediction') {
         if (typeof window.handleASLPrediction === 'function') {
-          window.handleASLPrediction(data.prediction);
+          window.handleASLPrediction(data.prediction, peerId);
         }
       }
+      if (data.type === 'chat' && window.TandemChat) {
+        window.TandemChat.receive(data, peerId);
+      }
     } catch (err) {
       console.error('Error parsing data channel message:', err);
     }
   };
 
   channel.onclose = () => {
-    console.log('Data channel closed');
+    console.log(`Data channel to ${peerId} closed`);
   };
 
   channel.onerror = (error) => {
-    console.error('Data channel error:', error);
+    console.error(`Data channel error (${peerId}):`, error);
   };
 }
 
-function updateTranscript(transcript, isFinal = true, isLocal = true) {
+/**
+ * Send a JSON message to every peer whose captions data channel is open.
+ * @param {object} message
+ */
+function broadcastData(message) {
+  const json = JSON.stringify(message);
+  peers.forEach((peer, peerId) => {
+    if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
+      try {
+        peer.dataChannel.send(json);
+      } catch (err) {
+        console.error(`Error sending ${message.type} to ${peerId}:`, err);
+      }
+    }
+  });
+}
+
+/**
+ * Whether every peer can currently be reached over its data channel.
+ * @returns {boolean}
+ */
+function allDataChannelsOpen() {
+  return [...peers.values()].every((peer) => peer.dataChannel && peer.dataChannel.readyState === 'open');
+}
+
+/**
+ * Fill a caption strip with one span per word, using the STT word timings.
+ * Low-confidence words are flagged; on a final result each word is then
+ * highlighted in turn at the pace it was spoken.
+ * @param {HTMLElement} captionsEl
+ * @param {string} prefix - e.g. the speaker's label in a group call
+ * @param {string} transcript
+ * @param {{ word: string, start: number, end: number, confidence?: number }[]} words
+ * @param {boolean} isFinal
+ * @returns {number} ms until the highlight finishes (0 if none)
+ */
+function renderCaptionWords(captionsEl, prefix, transcript, words, isFinal) {
+  // The transcript's own tokens carry punctuation; use them when they line up.
+  const tokens = transcript.split(/\s+/).filter(Boolean);
+  const labels = tokens.length === words.length ? tokens : words.map((w) => w.word);
+  captionsEl.textContent = prefix;
+  const spans = words.map((word, i) => {
+    const span = document.createElement('span');
+    span.className = 'caption-word';
+    span.textContent = labels[i];
+    if (Number.isFinite(word.confidence)) {
+      span.title = `${Math.round(word.confidence * 100)}% confident`;
+      if (word.confidence < LOW_WORD_CONFIDENCE) span.classList.add('low-confidence');
+    }
+    captionsEl.append(span, ' ');
+    return span;
+  });
+  if (!isFinal) return 0;
+
+  const timers = _wordHighlightTimers[captionsEl.id];
+  const origin = words[0].start;
+  const highlight = (index) => spans.forEach((span, i) => span.classList.toggle('active', i === index));
+  words.forEach((word, i) => {
+    timers.push(setTimeout(() => highlight(i), Math.max(0, word.start - origin) * 1000));
+  });
+  const total = Math.max(0, words[words.length - 1].end - origin) * 1000;
+  timers.push(setTimeout(() => highlight(-1), total));
+  return total;
+}
+
+function updateTranscript(transcript, isFinal = true, isLocal = true, peerId = null, words = []) {
   const captionsEl = isLocal
     ? document.getElementById('localCaptions')
     : document.getElementById('remoteCaptions');
 
   if (!captionsEl) return;
 
-  captionsEl.textContent = transcript;
+  (_wordHighlightTimers[captionsEl.id] || []).forEach(clearTimeout);
+  _wordHighlightTimers[captionsEl.id] = [];
+
+  // In a group call, prefix remote captions with who is speaking.
+  const prefix = !isLocal && peerId && peers.size > 1 ? `${peerLabel(peerId)}: ` : '';
+  let highlightMs = 0;
+  if (Array.isArray(words) && words.length) {
+    highlightMs = renderCaptionWords(captionsEl, prefix, transcript, words, isFinal);
+  } else {
+    captionsEl.textContent = prefix + transcript;
+  }
 
   // Highlight the subtitle strip while speech is active
   const strip = captionsEl.closest('.subtitle-strip');
@@ -68,30 +160,27 @@ function updateTranscript(transcript, isFinal = true, isLocal = true) {
 
   lastTranscriptUpdate = Date.now();
 
-  if (isLocal && dataChannel && dataChannel.readyState === 'open') {
-    try {
-      dataChannel.send(JSON.stringify({
-        type: 'transcript',
-        text: transcript,
-        isFinal: isFinal
-      }));
-    } catch (err) {
-      console.error('Error sending caption:', err);
-    }
+  if (isLocal) {
+    broadcastData({
+      type: 'transcript',
+      text: transcript,
+      isFinal: isFinal,
+      words
+    });
   }
 
+  // Keep the caption up at least until its word highlight has played out.
+  const holdMs = Math.max(TRANSCRIPT_TIMEOUT, highlightMs + 1000);
   clearTimeout(_transcriptTimers[captionsEl.id]);
   _transcriptTimers[captionsEl.id] = setTimeout(() => {
-    if (Date.now() - lastTranscriptUpdate >= TRANSCRIPT_TIMEOUT) {
+    if (Date.now() - lastTranscriptUpdate >= holdMs) {
       // Reset to idle placeholder text
       if (captionsEl) {
-        captionsEl.textContent = isLocal
-          ? 'Speak \u2014 your words appear here\u2026'
-          : 'Waiting for speech\u2026';
+        captionsEl.textContent = CAPTION_PLACEHOLDERS[isLocal ? 'local' : 'remote'];
       }
       if (strip) strip.classList.remove('has-text');
     }
-  }, TRANSCRIPT_TIMEOUT);
+  }, holdMs);
 }
 
 let isMicOn = true;
@@ -127,17 +216,93 @@ async function loadIceServers() {
   }
 }
 
-let pc;
 let socket;
 let localStream;
-let makingOffer = false;
-let dataChannel;
-let ignoreOffer = false;
+
+// One RTCPeerConnection per remote participant (full mesh), keyed by the
+// remote socket id:
+//   { pc, dataChannel, userType, makingOffer, ignoreOffer, videoEl }
+const peers = new Map();
+
+/**
+ * Human-readable label for a remote participant, e.g. "Hearing (a1b2)".
+ * @param {string} peerId
+ * @returns {string}
+ */
+function peerLabel(peerId) {
+  const peer = peers.get(peerId);
+  const type = peer && peer.userType ? peer.userType : 'peer';
+  return `${type.charAt(0).toUpperCase()}${type.slice(1)} (${String(peerId).slice(0, 4)})`;
+}
+
+/**
+ * Our role towards `peerId` in perfect negotiation: the side with the
+ * lexically smaller socket id is polite and yields when both send offers at
+ * once; the other ignores the colliding offer. Both ends compute the same
+ * answer from the two ids, so exactly one of them backs off.
+ * @param {string} peerId
+ * @returns {boolean}
+ */
+function isPolite(peerId) {
+  return !!socket && String(socket.id) < String(peerId);
+}
 
 function setStatus(text) {
   if (statusEl) statusEl.textContent = text;
 }
 
+// Room codes must match server/rooms.js ROOM_ID_PATTERN.
+const ROOM_ID_PATTERN = /^[a-z0-9-]{3,32}$/;
+
+/** Generate a short random room code, e.g. "k3f9x2ab". */
+function generateRoomId() {
+  const bytes = new Uint8Array(6);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, (b) => (b % 36).toString(36)).join('');
+}
+
+/**
+ * Room code for this page, taken from `?room=`. If the URL has none (or an
+ * invalid one) a fresh code is generated and written back into the address bar
+ * so the page can be reloaded or shared.
+ * @returns {string}
+ */
+function getRoomId() {
+  const params = new URLSearchParams(window.location.search);
+  let room = (params.get('room') || '').trim().toLowerCase();
+  if (!ROOM_ID_PATTERN.test(room)) {
+    room = generateRoomId();
+    params.set('room', room);
+    history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  }
+  return room;
+}
+
+/**
+ * Link the *other* participant should open to join this room.
+ * @param {string} userType - this page's user type ('deaf' | 'hearing')
+ * @returns {string}
+ */
+function getInviteLink(userType) {
+  const page = userType === 'deaf' ? 'hearing.html' : 'deaf.html';
+  return `${window.location.origin}/${page}?room=${encodeURIComponent(getRoomId())}`;
+}
+
+function setupInviteButton(userType) {
+  const btn = document.getElementById('copyInvite');
+  if (!btn) return;
+  btn.addEventListener('click', async () => {
+    const link = getInviteLink(userType);
+    try {
+      await navigator.clipboard.writeText(link);
+      showPillToast('tandem-invite-toast', '🔗 Invite link copied', '#60a5fa');
+    } catch (err) {
+      // Clipboard API needs a secure context — fall back to a prompt.
+      window.prompt('Share this link with the other participant:', link);
+    }
+  });
+}
+
 async function initMedia() {
   try {
     console.log('[client] requesting getUserMedia');
@@ -180,40 +345,27 @@ async function setupAudioProcessing(stream) {
 
     const AudioContext = window.AudioContext || window.webkitAudioContext;
     audioContext = new AudioContext();
+    // Resampling, PCM conversion and voice activity detection run off the
+    // main thread in the worklet (audioCaptureWorklet.js), which posts
+    // ~100 ms LINEAR16 chunks back only while the user is speaking.
+    await audioContext.audioWorklet.addModule('/audioCaptureWorklet.js');
     sourceNode = audioContext.createMediaStreamSource(stream);
-    processorNode = audioContext.createScriptProcessor(4096, 1, 1);
-
-    processorNode.onaudioprocess = (event) => {
-      if (!isProcessingAudio || !socket || !socket.connected) return;
-
-      try {
-        const inputData = event.inputBuffer.getChannelData(0);
-        if (!inputData || inputData.length === 0) return;
+    captureNode = new AudioWorkletNode(audioContext, 'pcm-capture', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { sampleRate: captureSampleRate }
+    });
 
-        const output = new Int16Array(inputData.length);
-        for (let i = 0; i < inputData.length; i++) {
-          const s = Math.max(-1, Math.min(1, inputData[i]));
-          output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-        }
+    captureNode.port.onmessage = ({ data }) => onCaptureMessage(data);
 
-        if (socket && socket.connected) {
-          socket.emit('audioData', {
-            buffer: Array.from(output),
-            sampleRate: audioContext.sampleRate,
-            isFinal: false
-          });
-        }
-      } catch (error) {
-        console.error('Error processing audio:', error);
-      }
-    };
-
-    sourceNode.connect(processorNode);
-    processorNode.connect(audioContext.destination);
+    sourceNode.connect(captureNode);
 
     audioProcessingInitialized = true;
     isProcessingAudio = true;
-    console.log('Audio processing started');
+    console.log('Audio processing started', {
+      contextRate: audioContext.sampleRate,
+      captureRate: captureSampleRate
+    });
 
     return true;
   } catch (error) {
@@ -222,19 +374,45 @@ async function setupAudioProcessing(stream) {
   }
 }
 
+/**
+ * Forward the capture worklet's speech boundaries and audio to the server,
+ * which opens a recognition stream on `speechStart` and closes it on
+ * `speechEnd`, so nothing is streamed (or billed) during silence.
+ * @param {{ type: string, buffer?: ArrayBuffer }} message
+ */
+function onCaptureMessage(message) {
+  if (message.type === 'speechStart' || message.type === 'speechEnd') {
+    setSpeaking(message.type === 'speechStart');
+    return;
+  }
+  // Sent as binary, not JSON: Socket.IO ships ArrayBuffers as attachments.
+  if (message.type === 'audio' && isSpeaking && isProcessingAudio && socket && socket.connected) {
+    socket.emit('audioData', message.buffer);
+  }
+}
+
+function setSpeaking(speaking) {
+  if (speaking === isSpeaking) return;
+  isSpeaking = speaking;
+  if (socket && socket.connected) socket.emit(speaking ? 'speechStart' : 'speechEnd');
+  const strip = document.getElementById('localSubtitleStrip');
+  if (strip) strip.classList.toggle('speaking', speaking);
+}
+
 async function cleanupAudioProcessing() {
+  setSpeaking(false);
   isProcessingAudio = false;
   audioProcessingInitialized = false;
 
-  if (processorNode) {
+  if (captureNode) {
     try {
       if (sourceNode) sourceNode.disconnect();
-      processorNode.disconnect();
-      processorNode.onaudioprocess = null;
+      captureNode.port.onmessage = null;
+      captureNode.disconnect();
     } catch (err) {
       console.error('Error disconnecting audio nodes:', err);
     }
-    processorNode = null;
+    captureNode = null;
   }
 
   if (audioContext && audioContext.state !== 'closed') {
@@ -260,22 +438,59 @@ async function cleanupAudioProcessing() {
   sourceNode = null;
 }
 
-async function createPeerConnection() {
-  console.log('[client] creating RTCPeerConnection');
+/**
+ * Video element for a remote participant. The first peer reuses the page's
+ * #remoteVideo; further peers get a tile appended next to it.
+ * @param {string} peerId
+ * @returns {HTMLVideoElement|null}
+ */
+function getRemoteVideo(peerId) {
+  const peer = peers.get(peerId);
+  if (peer && peer.videoEl) return peer.videoEl;
+  if (!remoteVideo) return null;
+
+  let el;
+  if (!remoteVideo.dataset.peerId) {
+    el = remoteVideo;
+  } else {
+    el = document.createElement('video');
+    el.autoplay = true;
+    el.playsInline = true;
+    el.className = 'remote-tile';
+    remoteVideo.parentElement.appendChild(el);
+  }
+  el.dataset.peerId = peerId;
+  el.title = peerLabel(peerId);
+  remoteVideo.parentElement.classList.toggle('remote-grid', peers.size > 1);
+  if (peer) peer.videoEl = el;
+  return el;
+}
 
-  try {
-    const res = await fetch('/ice-config', { cache: 'no-store' });
-    if (res.ok) {
-      const servers = await res.json();
-      if (servers && servers.length > 0) {
-        ICE_SERVERS = servers;
-      }
-    }
-  } catch (err) {
-    console.warn('[client] Error fetching ICE config, using defaults', err);
+function releaseRemoteVideo(el) {
+  if (!el) return;
+  if (el === remoteVideo) {
+    el.srcObject = null;
+    delete el.dataset.peerId;
+  } else {
+    el.remove();
   }
+  if (remoteVideo) remoteVideo.parentElement.classList.toggle('remote-grid', peers.size > 1);
+}
 
-  console.log('[client] Using ICE servers:', ICE_SERVERS);
+/**
+ * Create (or return) the RTCPeerConnection for one remote participant.
+ * @param {string} peerId - the remote socket id
+ * @param {string} [userType] - 'deaf' | 'hearing'
+ * @returns {RTCPeerConnection}
+ */
+function createPeerConnection(peerId, userType) {
+  const existing = peers.get(peerId);
+  if (existing) {
+    if (userType) existing.userType = userType;
+    return existing.pc;
+  }
+
+  console.log('[client] creating RTCPeerConnection for', peerId, 'using ICE servers:', ICE_SERVERS);
 
   const config = {
     iceServers: ICE_SERVERS,
@@ -285,71 +500,104 @@ async function createPeerConnection() {
     rtcpMuxPolicy: 'require'
   };
 
-  pc = new RTCPeerConnection(config);
+  const pc = new RTCPeerConnection(config);
+  const peer = { pc, dataChannel: null, userType, makingOffer: false, ignoreOffer: false, videoEl: null };
+  peers.set(peerId, peer);
 
   try {
-    dataChannel = pc.createDataChannel('captions');
-    setupDataChannel(dataChannel);
-    console.log('Created data channel for captions');
+    peer.dataChannel = pc.createDataChannel('captions');
+    setupDataChannel(peer.dataChannel, peerId);
+    console.log('Created data channel for captions to', peerId);
   } catch (err) {
     console.error('Error creating data channel:', err);
   }
 
   pc.ondatachannel = (event) => {
     if (event.channel.label === 'captions') {
-      dataChannel = event.channel;
-      setupDataChannel(dataChannel);
-      console.log('Received remote data channel for captions');
+      peer.dataChannel = event.channel;
+      setupDataChannel(peer.dataChannel, peerId);
+      console.log('Received remote data channel for captions from', peerId);
     }
   };
 
   pc.onconnectionstatechange = () => {
-    console.log(`[client] connection state changed: ${pc.connectionState}`);
-    setStatus(`Connection: ${pc.connectionState}`);
+    console.log(`[client] connection state (${peerId}) changed: ${pc.connectionState}`);
+    updatePeerStatus();
 
-    if (pc.connectionState === 'disconnected' ||
-      pc.connectionState === 'failed' ||
-      pc.connectionState === 'closed') {
+    if (pc.connectionState === 'failed') {
       setTimeout(() => {
-        if (pc.connectionState !== 'connected' && pc.connectionState !== 'connecting') {
-          console.log('[client] Attempting to reconnect...');
-          initMedia().catch(console.error);
+        if (peers.get(peerId) === peer && pc.connectionState === 'failed') {
+          console.log('[client] Attempting ICE restart with', peerId);
+          if (typeof pc.restartIce === 'function') pc.restartIce();
+          makeOffer(peerId).catch(console.error);
         }
       }, 2000);
     }
   };
 
-  console.log('[client] RTCPeerConnection created', pc);
-
   if (localStream) {
     localStream.getTracks().forEach((track) => pc.addTrack(track, localStream));
   }
 
   pc.addEventListener('track', (event) => {
     console.log('[client] remote track event', {
+      peerId,
       streams: event.streams.length,
       trackKind: event.track && event.track.kind
     });
     const [remoteStream] = event.streams;
-    if (remoteVideo) {
-      remoteVideo.srcObject = remoteStream;
+    const videoEl = getRemoteVideo(peerId);
+    if (videoEl) {
+      videoEl.srcObject = remoteStream;
     }
   });
 
   pc.addEventListener('icecandidate', (event) => {
-    console.log('[client] local icecandidate', { hasCandidate: !!event.candidate });
     if (event.candidate) {
-      socket.emit('signal:ice-candidate', { candidate: event.candidate });
+      socket.emit('signal:ice-candidate', { to: peerId, candidate: event.candidate });
     }
   });
 
-  pc.addEventListener('connectionstatechange', () => {
-    setStatus(`Peer connection: ${pc.connectionState}`);
-    console.log('[client] connectionstatechange', pc.connectionState);
-  });
+  return pc;
 }
 
-function initSocket(userType) {
+/** Close and forget the connection to one remote participant. */
+function closePeer(peerId) {
+  const peer = peers.get(peerId);
+  if (!peer) return;
+  peers.delete(peerId);
+  try {
+    peer.pc.close();
+  } catch (err) {
+    console.error('Error closing peer connection:', err);
+  }
+  releaseRemoteVideo(peer.videoEl);
+  updatePeerStatus();
+}
+
+function updatePeerStatus() {
+  const states = [...peers.values()].map((p) => p.pc.connectionState);
+  const connected = states.filter((s) => s === 'connected').length;
+  if (peers.size === 0) {
+    setStatus('Waiting for peers…');
+  } else if (peers.size === 1) {
+    setStatus(`Peer connection: ${states[0]}`);
+  } else {
+    setStatus(`Connected to ${connected} of ${peers.size} peers`);
+  }
+}
+
+/**
+ * @param {string} userType - 'deaf' | 'hearing'
+ * @param {object} [options]
+ * @param {object} [options.voice] - TTS voice profile sent with `join`
+ * @param {object} [options.stt] - speech recognition settings ({ languageCode }) sent with `join`,
+ *   together with the capture sample rate this page proposes
+ */
+function initSocket(userType, { voice, stt } = {}) {
+  const room = getRoomId();
+  setupInviteButton(userType);
+
   socket = io();
   window.socket = socket;
   socket.on('connect', () => {
@@ -359,19 +607,50 @@ function initSocket(userType) {
       isProcessingAudio = true;
     }
 
-    socket.emit('join', userType);
+    socket.emit('join', { userType, room, voice, stt: { ...stt, sampleRateHertz: captureSampleRate } });
+    // Reconnected mid-utterance: the new connection has no recognition stream yet.
+    if (isSpeaking) socket.emit('speechStart');
+  });
+
+  // A speaker's recognition stream failed and is being retried with backoff
+  // (server/speechToText.js); their speech is buffered meanwhile, not lost.
+  socket.on('captionsStatus', ({ state, from } = {}) => {
+    const isLocal = from === socket.id;
+    const captionsEl = document.getElementById(isLocal ? 'localCaptions' : 'remoteCaptions');
+    const strip = captionsEl && captionsEl.closest('.subtitle-strip');
+    if (!strip) return;
+    const wasReconnecting = strip.classList.contains('reconnecting');
+    const reconnecting = state === 'reconnecting';
+    strip.classList.toggle('reconnecting', reconnecting);
+    if (reconnecting) {
+      strip.classList.remove('has-text');
+      captionsEl.textContent = isLocal
+        ? 'Captions reconnecting\u2026 keep talking, your words will catch up'
+        : `Captions reconnecting\u2026${peers.size > 1 ? ` (${peerLabel(from)})` : ''}`;
+    } else if (wasReconnecting) {
+      captionsEl.textContent = CAPTION_PLACEHOLDERS[isLocal ? 'local' : 'remote'];
+    }
+  });
+
+  // The rate the server's recognizer now expects; resample to it from here on.
+  socket.on('audioFormat', ({ sampleRateHertz } = {}) => {
+    if (!sampleRateHertz || sampleRateHertz === captureSampleRate) return;
+    captureSampleRate = sampleRateHertz;
+    if (captureNode) captureNode.port.postMessage({ type: 'config', sampleRate: sampleRateHertz });
+    console.log('[client] capture sample rate set to', sampleRateHertz);
   });
 
   socket.on('transcript', (data) => {
     console.log('[client] received transcript:', data);
     if (data.transcript) {
-      updateTranscript(data.transcript, data.isFinal, data.isLocal);
+      const words = Array.isArray(data.words) ? data.words : [];
+      updateTranscript(data.transcript, data.isFinal, data.isLocal, null, words);
       // Avatar only gets queued on final results — never on interim partials.
       // This prevents a new sentence from interrupting the avatar mid-sign.
       try {
         if (data.isFinal && data.isLocal === false &&
           window && window.avatar && typeof window.avatar.enqueue === 'function') {
-          window.avatar.enqueue(data.transcript, 'en', 'ase');
+          window.avatar.enqueue(data.transcript, 'en', 'ase', { words });
         }
       } catch (e) {
         console.warn('Avatar enqueue failed:', e);
@@ -382,17 +661,7 @@ function initSocket(userType) {
   socket.on('aslPrediction', (data) => {
     console.log('[client] received ASL prediction:', data);
     if (typeof window.handleASLPrediction === 'function') {
-      window.handleASLPrediction(data.prediction);
-    }
-    if (data.prediction && dataChannel && dataChannel.readyState === 'open') {
-      try {
-        dataChannel.send(JSON.stringify({
-          type: 'aslPrediction',
-          prediction: data.prediction
-        }));
-      } catch (err) {
-        console.error('Error sending ASL prediction:', err);
-      }
+      window.handleASLPrediction(data.prediction, data.from, data.spelled, data);
     }
   });
 
@@ -405,14 +674,34 @@ function initSocket(userType) {
     }
   });
 
+  // Server-side TTS failed on every engine — speak the text in the browser.
+  socket.on('ttsFailed', (data) => {
+    if (data && data.text) {
+      speakWithBrowser(data.text, data.voice).catch(err =>
+        console.error('[TTS] browser fallback error:', err)
+      );
+    }
+  });
+
   // The deaf peer's avatar finished signing — show confirmation to the hearing user.
   socket.on('signingDone', () => {
     showSigningDoneToast();
   });
 
-  socket.on('joined', ({ room, peers }) => {
-    setStatus(`Joined room: ${room}. Peers: ${peers}`);
-    console.log('[client] joined', { room, peers });
+  // We are the newcomer: connect to everyone already in the room.
+  socket.on('joined', ({ room, peers: count, participants = [] }) => {
+    setStatus(`Joined room: ${room}. Peers: ${count}`);
+    console.log('[client] joined', { room, peers: count, participants });
+    participants.forEach(({ id, userType: type }) => {
+      createPeerConnection(id, type);
+      makeOffer(id).catch((err) => console.error('Error creating offer', err));
+    });
+  });
+
+  // Someone joined after us — they will send the offer.
+  socket.on('peer_joined', ({ id, userType: type }) => {
+    console.log('[client] peer_joined', id, type);
+    createPeerConnection(id, type);
   });
 
   socket.on('room_full', () => {
@@ -420,78 +709,84 @@ function initSocket(userType) {
     console.warn('[client] room_full');
   });
 
-  socket.on('ready', () => {
-    setStatus('Both peers present. Ready to negotiate.');
-    console.log('[client] ready');
+  socket.on('room_invalid', () => {
+    setStatus('Error: invalid room code.');
+    console.warn('[client] room_invalid');
   });
 
-  socket.on('initiate', async () => {
-    console.log('[client] initiate received; making offer');
-    try {
-      await makeOffer();
-    } catch (err) {
-      console.error('Error creating offer', err);
-    }
+  socket.on('ready', ({ peers: count } = {}) => {
+    setStatus(`${count || 2} participants present. Ready to negotiate.`);
+    console.log('[client] ready');
   });
 
   socket.on('signal:offer', async (payload) => {
-    console.log('[client] received offer');
-    const offer = payload?.sdp;
-    if (!offer) return;
+    const { from, sdp: offer } = payload || {};
+    console.log('[client] received offer from', from);
+    if (!offer || !from) return;
+    const pc = createPeerConnection(from);
+    const peer = peers.get(from);
     try {
-      const offerCollision = makingOffer || pc.signalingState !== 'stable';
-      ignoreOffer = !offerCollision ? false : true;
-      console.log('[client] handling offer', { offerCollision, ignoreOffer, signalingState: pc.signalingState });
-      if (ignoreOffer) return;
-
+      const offerCollision = peer.makingOffer || pc.signalingState !== 'stable';
+      const polite = isPolite(from);
+      peer.ignoreOffer = !polite && offerCollision;
+      console.log('[client] handling offer', { from, offerCollision, polite, signalingState: pc.signalingState });
+      if (peer.ignoreOffer) return;
+
+      // Polite side of a collision: drop our own offer and take theirs.
+      if (pc.signalingState === 'have-local-offer') await pc.setLocalDescription({ type: 'rollback' });
       await pc.setRemoteDescription(offer);
       const answer = await pc.createAnswer();
       await pc.setLocalDescription(answer);
-      socket.emit('signal:answer', { sdp: pc.localDescription });
-      console.log('[client] sent answer');
+      socket.emit('signal:answer', { to: from, sdp: pc.localDescription });
+      console.log('[client] sent answer to', from);
     } catch (err) {
       console.error('Error handling remote offer', err);
     }
   });
 
   socket.on('signal:answer', async (payload) => {
-    console.log('[client] received answer');
-    const answer = payload?.sdp;
-    if (!answer) return;
+    const { from, sdp: answer } = payload || {};
+    console.log('[client] received answer from', from);
+    const peer = peers.get(from);
+    if (!answer || !peer) return;
     try {
-      await pc.setRemoteDescription(answer);
+      await peer.pc.setRemoteDescription(answer);
       console.log('[client] applied remote answer');
     } catch (err) {
       console.error('Error applying remote answer:', err);
     }
   });
 
-  socket.on('signal:ice-candidate', async ({ candidate }) => {
-    console.log('[client] received remote ice-candidate', { hasCandidate: !!candidate });
+  socket.on('signal:ice-candidate', async ({ from, candidate } = {}) => {
+    const peer = peers.get(from);
     try {
-      if (pc && candidate) await pc.addIceCandidate(candidate);
-      if (candidate) console.log('[client] added remote ice-candidate');
+      if (peer && candidate) await peer.pc.addIceCandidate(candidate);
     } catch (err) {
-      console.error('Error adding remote ICE candidate:', err);
+      if (!peer || !peer.ignoreOffer) console.error('Error adding remote ICE candidate:', err);
     }
   });
 
-  socket.on('peer_disconnected', () => {
-    setStatus('Peer disconnected.');
-    console.warn('[client] peer_disconnected');
+  socket.on('peer_disconnected', ({ id } = {}) => {
+    console.warn('[client] peer_disconnected', id);
+    // Label first — closing the peer forgets its userType.
+    const label = id ? peerLabel(id) : 'Peer';
+    if (id) closePeer(id);
+    showPillToast('tandem-peer-toast', `${label} left`, '#f0527a');
   });
 }
 
-async function makeOffer() {
+async function makeOffer(peerId) {
+  const peer = peers.get(peerId);
+  if (!peer) return;
   try {
-    makingOffer = true;
-    console.log('[client] creating offer');
-    const offer = await pc.createOffer();
-    await pc.setLocalDescription(offer);
-    socket.emit('signal:offer', { sdp: pc.localDescription });
-    console.log('[client] sent offer');
+    peer.makingOffer = true;
+    console.log('[client] creating offer for', peerId);
+    const offer = await peer.pc.createOffer();
+    await peer.pc.setLocalDescription(offer);
+    socket.emit('signal:offer', { to: peerId, sdp: peer.pc.localDescription });
+    console.log('[client] sent offer to', peerId);
   } finally {
-    makingOffer = false;
+    peer.makingOffer = false;
   }
 }
 
@@ -659,11 +954,58 @@ async function playTTSAudio(audioBase64) {
   return _ttsChain;
 }
 
+/**
+ * Fallback for when the server could not synthesize audio: speak the text
+ * with the browser's built-in speechSynthesis. Shares the playback queue with
+ * playTTSAudio so fallback and server audio never overlap.
+ * @param {string} text
+ * @param {object} [voice] - the signer's voice profile ({ languageCode, speakingRate, pitch })
+ */
+async function speakWithBrowser(text, voice = {}) {
+  _ttsChain = _ttsChain.then(async () => {
+    if (!('speechSynthesis' in window)) {
+      console.warn('[TTS] speechSynthesis unavailable; cannot speak:', text);
+      return;
+    }
+    try {
+      await new Promise((resolve) => {
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = voice.languageCode || 'en-US';
+        // Google rate 0.25–4 maps directly; pitch is ±20 semitones vs 0–2 here.
+        if (voice.speakingRate) utterance.rate = voice.speakingRate;
+        if (voice.pitch) utterance.pitch = Math.min(2, Math.max(0, 1 + voice.pitch / 20));
+        utterance.onend = resolve;
+        utterance.onerror = resolve;
+        window.speechSynthesis.speak(utterance);
+      });
+
+      // Notify the DEAF user (peer) that their sign has been fully spoken.
+      if (socket && socket.connected) {
+        socket.emit('ttsSpoken');
+      }
+    } catch (err) {
+      console.error('[TTS] Browser speech failed:', err);
+    }
+  });
+  return _ttsChain;
+}
+
+// script.js is loaded as a module, so page scripts can only reach shared
+// helpers through window.
+window.showPillToast = showPillToast;
+
 window.TandemApp = {
   initMedia,
   loadIceServers,
   createPeerConnection,
+  closePeer,
+  peerLabel,
+  broadcastData,
+  allDataChannelsOpen,
   initSocket,
   setStatus,
-  socket
+  getRoomId,
+  getInviteLink,
+  // A getter: the socket only exists once initSocket() has run.
+  get socket() { return socket; }
 };
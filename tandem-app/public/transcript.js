@@ -0,0 +1,75 @@
+// public/transcript.js
+// Conversation transcript panel on both call pages. The server keeps the log
+// (server/transcript.js): it sends the room's history on join
+// (`transcriptHistory`) and every new final caption, sign or chat message as
+// it happens (`transcriptEntry`). The export links download the same log from
+// /api/rooms/<room>/transcript as text, JSON, WebVTT or SRT.
+//
+// Exposes window.TandemTranscript:
+//   init()   wire up #transcriptPanel once window.socket exists
+
+const KIND_ICONS = { speech: '🗣️', sign: '🤟', chat: '⌨️' };
+const LOW_CONFIDENCE = 0.6;
+const MAX_RENDERED = 500;
+
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/** @param {object} entry - as stored by TranscriptLog#add */
+function renderEntry(entry) {
+  const item = document.createElement('li');
+  item.className = `transcript-entry ${entry.kind}`;
+  const isSelf = window.socket && entry.speakerId === window.socket.id;
+
+  const meta = document.createElement('small');
+  meta.textContent = `${formatTime(entry.time)} · ${KIND_ICONS[entry.kind] || ''} ${isSelf ? 'You' : entry.speaker}`;
+  const text = document.createElement('span');
+  text.textContent = entry.text;
+  item.append(meta, text);
+
+  if (entry.confidence !== undefined) {
+    const confidence = document.createElement('small');
+    confidence.className = 'transcript-confidence';
+    if (entry.confidence < LOW_CONFIDENCE) confidence.classList.add('low');
+    confidence.textContent = `${Math.round(entry.confidence * 100)}%`;
+    item.appendChild(confidence);
+  }
+  return item;
+}
+
+function append(entries, { replace = false } = {}) {
+  const log = document.getElementById('transcriptLog');
+  if (!log) return;
+  // Only auto-scroll if the reader is already at the bottom.
+  const atBottom = log.scrollHeight - log.scrollTop - log.clientHeight < 20;
+  if (replace) log.replaceChildren();
+  for (const entry of entries) log.appendChild(renderEntry(entry));
+  while (log.children.length > MAX_RENDERED) log.firstElementChild.remove();
+  if (atBottom || replace) log.scrollTop = log.scrollHeight;
+}
+
+function init() {
+  const btn = document.getElementById('transcriptToggle');
+  const panel = document.getElementById('transcriptPanel');
+  if (!btn || !panel) return;
+
+  btn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    btn.setAttribute('aria-expanded', String(!panel.hidden));
+    if (!panel.hidden) {
+      const log = document.getElementById('transcriptLog');
+      log.scrollTop = log.scrollHeight;
+    }
+  });
+
+  const room = encodeURIComponent(window.TandemApp.getRoomId());
+  panel.querySelectorAll('[data-format]').forEach((link) => {
+    link.href = `/api/rooms/${room}/transcript?format=${link.dataset.format}`;
+  });
+
+  window.socket.on('transcriptHistory', ({ entries = [] } = {}) => append(entries, { replace: true }));
+  window.socket.on('transcriptEntry', (entry) => append([entry]));
+}
+
+window.TandemTranscript = { init };
@@ -4,8 +4,14 @@ const http = require('http');
 const { Server } = require('socket.io');
 // All server-side modules live under server/ for a clean layout
 const speechToText = require('./server/speechToText');
+const { normalizeLanguageCode, normalizePhrases, normalizeSampleRate } = require('./server/stt');
 const poseProxy = require('./server/poseProxy');
 const tts = require('./server/textToSpeech');
+const { RoomManager, normalizeRoomId } = require('./server/rooms');
+const { getAslVocabulary } = require('./server/vocabulary');
+const { correctSpelling } = require('./server/spelling');
+const { TranscriptLog, FORMATS: TRANSCRIPT_FORMATS } = require('./server/transcript');
+const { RecordingSession } = require('./server/recording');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,7 +26,8 @@ const io = new Server(server, {
   transports: ['websocket', 'polling'],
 });
 
-app.use(express.json());
+// Sequence predictions carry a window of landmark frames, well over the 100 KB default.
+app.use(express.json({ limit: '1mb' }));
 // Bypass the ngrok browser warning interstitial — without this header,
 // the second device sees an ngrok warning page instead of the app.
 app.use((_req, res, next) => {
@@ -28,23 +35,43 @@ app.use((_req, res, next) => {
   next();
 });
 app.use(express.static(path.join(__dirname, 'public')));
+// TF.js export of the ASL model (model.json + weight shard) for in-browser recognition.
+app.use('/asl-model', express.static(path.join(__dirname, 'asl', 'public')));
 app.use(poseProxy);
 
-// Proxy /api/predict → Python asl_api.py on port 5003
+// Proxy /api/predict* → Python asl_api.py on port 5003
 // This keeps the browser on a same-origin URL and avoids CORS entirely.
-app.post('/api/predict', async (req, res) => {
-  try {
-    const upstream = await fetch('http://localhost:5003/predict', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(req.body),
-    });
-    const data = await upstream.json();
-    res.status(upstream.status).json(data);
-  } catch (err) {
-    console.error('[/api/predict] Python ASL API unreachable:', err.message);
-    res.status(503).json({ error: 'ASL API unavailable. Make sure asl_api.py is running.' });
-  }
+const ASL_API_URL = 'http://localhost:5003';
+
+/**
+ * Forward a JSON request to the Python ASL API and relay its response.
+ * @param {string} route - path on the ASL API (e.g. '/predict')
+ */
+function proxyToAslApi(route) {
+  return async (req, res) => {
+    try {
+      const upstream = await fetch(`${ASL_API_URL}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(req.body),
+      });
+      const data = await upstream.json();
+      res.status(upstream.status).json(data);
+    } catch (err) {
+      console.error(`[/api${route}] Python ASL API unreachable:`, err.message);
+      res.status(503).json({ error: 'ASL API unavailable. Make sure asl_api.py is running.' });
+    }
+  };
+}
+
+// Single frame → static (fingerspelling) classifier.
+app.post('/api/predict', proxyToAslApi('/predict'));
+// Sliding window of frames → word-level prediction for moving signs.
+app.post('/api/predict-sequence', proxyToAslApi('/predict-sequence'));
+
+// Recognizer labels — the in-browser model's fallback class list.
+app.get('/api/asl-vocabulary', (_req, res) => {
+  res.json({ labels: getAslVocabulary() });
 });
 
 app.get('/health', (_req, res) => res.status(200).send('OK'));
@@ -71,16 +98,99 @@ app.get('/ice-config', (req, res) => {
   res.json(iceServers);
 });
 
-const DEFAULT_ROOM = 'main-room';
+// Rooms are created on first join from a shareable code and expire a few
+// minutes after the last participant leaves (see server/rooms.js).
+// Calls are a full WebRTC mesh (every client connects to every other), so
+// upstream bandwidth grows with each participant — keep the cap modest.
+const MAX_PARTICIPANTS = parseInt(process.env.MAX_PARTICIPANTS, 10) || 6;
+const rooms = new RoomManager({ capacity: MAX_PARTICIPANTS });
+// Every room keeps a log of the conversation until it expires.
+rooms.on('created', (room) => {
+  room.transcript = new TranscriptLog();
+});
+// Clients that don't send a room code all share this one, as before.
+const LEGACY_ROOM = 'main-room';
+// The pages a client can join from; anything else is treated as hearing.
+const USER_TYPES = ['deaf', 'hearing'];
+// Longest typed chat message relayed (and spoken).
+const MAX_CHAT_LENGTH = 1000;
+
+/**
+ * Add an utterance to the sender's room transcript and push it to everyone
+ * in the room (including the sender).
+ * @param {import('socket.io').Socket} socket - who said it
+ * @param {object} entry - { kind, text, confidence } (see TranscriptLog#add)
+ */
+function recordTranscript(socket, entry) {
+  const room = socket.room && rooms.get(socket.room);
+  if (!room) return;
+  const stored = room.transcript.add({ ...entry, speaker: { id: socket.id, userType: socket.userType } });
+  if (stored) io.to(room.id).emit('transcriptEntry', stored);
+}
+
+/**
+ * End a room's recording (or pending request) and tell everyone in the room.
+ * @param {object} room
+ * @param {string} reason
+ */
+function stopRecording(room, reason) {
+  if (!room.recording || !room.recording.active) return;
+  room.recording.stop(reason);
+  io.to(room.id).emit('recordingState', room.recording);
+}
+
+// Final speech results come straight from the recognizer, not via clients.
+// Word timings stay with the live captions; the log keeps whole utterances.
+speechToText.on('final', (socketId, { transcript, confidence }) => {
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket) recordTranscript(socket, { kind: 'speech', text: transcript, confidence });
+});
+
+// A speaker's recognition stream is reconnecting (or back): tell the whole
+// room, since everyone else reads that speaker's captions.
+speechToText.on('status', (socketId, status) => {
+  const socket = io.sockets.sockets.get(socketId);
+  if (!socket) return;
+  const payload = { ...status, from: socketId };
+  if (socket.room) io.to(socket.room).emit('captionsStatus', payload);
+  else socket.emit('captionsStatus', payload);
+});
+
+// Download a room's transcript: ?format=txt|json|vtt|srt (default txt), and
+// optionally ?from=&to= (epoch ms) to cut it to a recording. The room code is
+// the only key, as for joining the call.
+app.get('/api/rooms/:room/transcript', (req, res) => {
+  const roomId = normalizeRoomId(req.params.room);
+  const room = roomId && rooms.get(roomId);
+  if (!room) return res.status(404).json({ error: 'Unknown room' });
+  const format = String(req.query.format || 'txt');
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}` });
+  }
+  const time = (value) => (value === undefined || !Number.isFinite(Number(value)) ? undefined : Number(value));
+  const { type, body } = room.transcript.export(format, { from: time(req.query.from), to: time(req.query.to) });
+  res.set('Content-Type', type);
+  res.set('Content-Disposition', `attachment; filename="tandem-${roomId}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+  res.send(body);
+});
 
 /**
- * Returns the number of sockets currently in a named Socket.IO room.
- * @param {string} roomName
- * @returns {number}
+ * Pre-synthesize every sign the recognizer can emit in a preset voice, once
+ * per preset, so the first use of each is spoken instantly (see
+ * tts.prewarmVoice). Set TTS_PREWARM=0 to skip (e.g. to save quota in dev).
+ * @param {object} [voice] - normalized voice options; omit for the default voice
  */
-function getRoomSize(roomName) {
-  const room = io.sockets.adapter.rooms.get(roomName);
-  return room ? room.size : 0;
+function prewarmVoice(voice) {
+  if (process.env.TTS_PREWARM === '0') return;
+  const vocabulary = getAslVocabulary();
+  const warming = tts.prewarmVoice(vocabulary, voice);
+  if (!warming) return;
+  warming.then(({ warmed, failed }) => {
+    const name = (voice && voice.voiceName) || 'default voice';
+    console.log(`[TTS] cache pre-warmed for ${name}: ${warmed}/${vocabulary.length} phrases` +
+      (failed ? ` (${failed} failed)` : ''));
+  });
 }
 
 io.on('connection', (socket) => {
@@ -102,12 +212,72 @@ io.on('connection', (socket) => {
     console.log(`Client ${socket.id} reconnection attempt ${attemptNumber}`);
   });
 
-  speechToText.createRecognizeStream(socket.id);
+  /**
+   * Relay an event to everyone else in this socket's room. No-op until the
+   * socket has joined, so nothing leaks between calls.
+   * @param {string} event
+   * @param {*} [payload]
+   */
+  function toPeers(event, payload) {
+    if (!socket.room) return;
+    socket.to(socket.room).emit(event, payload);
+  }
+
+  /**
+   * Relay a signaling message to one peer in this socket's room, stamped with
+   * the sender's id so the receiver knows which peer connection it belongs to.
+   * Targets outside the room are dropped.
+   * @param {string} event
+   * @param {object} payload - must carry `to` (the target socket id)
+   */
+  function toPeer(event, payload) {
+    const room = socket.room && rooms.get(socket.room);
+    if (!room || !payload || !room.members.has(payload.to)) {
+      console.warn(`[io] dropping ${event} from ${socket.id}: unknown target`, payload && payload.to);
+      return;
+    }
+    io.to(payload.to).emit(event, { ...payload, from: socket.id });
+  }
+
+  /**
+   * Synthesize `text` in this socket's voice and send the audio to its peers;
+   * if every engine fails, the peers' browsers are asked to speak it instead.
+   * @param {string} text
+   */
+  async function speakToPeers(text) {
+    try {
+      const audioBase64 = await tts.synthesize(text, socket.voicePrefs);
+      toPeers('ttsAudio', { audioBase64, from: socket.id });
+      console.log(`[TTS] Synthesized "${text}" → sent audio to peer`);
+    } catch (err) {
+      console.error('[TTS] synthesize error:', err.message);
+      // Every server-side engine failed — let the listeners' browsers speak it.
+      toPeers('ttsFailed', { text, voice: socket.voicePrefs, from: socket.id });
+    }
+  }
+
+  /** Leave the current room (if any) and tell the remaining peers. */
+  function leaveRoom() {
+    if (!socket.room) return;
+    // Consent was given by the people present; it doesn't outlive them.
+    const room = rooms.get(socket.room);
+    if (room) stopRecording(room, 'participants-changed');
+    toPeers('peer_disconnected', { id: socket.id });
+    socket.leave(socket.room);
+    rooms.leave(socket.room, socket.id);
+    socket.room = null;
+  }
+
+  // Recognition streams open and close with the speech the page's voice
+  // activity detector hears (see server/speechToText.js).
   speechToText.bindSocketToStream(socket.id, socket);
+  socket.on('speechStart', () => speechToText.startSpeech(socket.id));
+  socket.on('speechEnd', () => speechToText.endSpeech(socket.id));
 
-  socket.on('audioData', (data) => {
+  // Binary LINEAR16 chunks from the page's capture worklet, sent only while speaking.
+  socket.on('audioData', (chunk) => {
     try {
-      speechToText.processAudio(socket.id, data);
+      speechToText.processAudio(socket.id, chunk);
     } catch (error) {
       console.error('Error processing audio data:', error);
     }
@@ -121,10 +291,11 @@ io.on('connection', (socket) => {
   socket.on('transcript', (data) => {
     if (!data.isFinal) {
       // Interim results pass through immediately so captions stay live.
-      socket.to(DEFAULT_ROOM).emit('transcript', {
+      toPeers('transcript', {
         transcript: data.transcript,
         isFinal: false,
         isLocal: false,
+        from: socket.id,
       });
       return;
     }
@@ -139,10 +310,11 @@ io.on('connection', (socket) => {
       sentenceBuffer.timer = null;
       if (merged) {
         console.log('[sentence-buffer] forwarding merged final:', merged);
-        socket.to(DEFAULT_ROOM).emit('transcript', {
+        toPeers('transcript', {
           transcript: merged,
           isFinal: true,
           isLocal: false,
+          from: socket.id,
         });
       }
     }, SENTENCE_HOLD_MS);
@@ -156,73 +328,247 @@ io.on('connection', (socket) => {
     clearInterval(keepAlive);
     clearTimeout(sentenceBuffer.timer);
     sentenceBuffer.text = '';
-    if (socket.room) socket.leave(socket.room);
     speechToText.cleanup(socket.id);
-    socket.to(DEFAULT_ROOM).emit('peer_disconnected');
+    leaveRoom();
   });
 
-  socket.on('join', (userType) => {
-    const size = getRoomSize(DEFAULT_ROOM);
-    socket.userType = userType || 'hearing';
-    console.log('[io] join requested', { socketId: socket.id, currentSize: size, userType: socket.userType });
+  // `join` accepts { userType, room }. A bare string is still treated as the
+  // user type for older clients, which then land in the legacy default room.
+  socket.on('join', (payload) => {
+    const { userType, room } = typeof payload === 'string' || !payload
+      ? { userType: payload, room: LEGACY_ROOM }
+      : payload;
+    const roomId = normalizeRoomId(room || LEGACY_ROOM);
+    socket.userType = USER_TYPES.includes(userType) ? userType : 'hearing';
+    // Voice used when this user's signs are spoken (deaf users only, in practice).
+    if (payload && payload.voice) socket.voicePrefs = tts.normalizeVoiceOptions(payload.voice);
+    console.log('[io] join requested', { socketId: socket.id, room: roomId, currentSize: rooms.size(roomId), userType: socket.userType });
+
+    if (!roomId) {
+      socket.emit('room_invalid');
+      return;
+    }
 
-    if (size >= 2) {
+    // A full room leaves the socket where it was.
+    const result = rooms.join(roomId, socket.id, { userType: socket.userType });
+    if (!result.ok) {
       socket.emit('room_full');
       return;
     }
 
-    socket.join(DEFAULT_ROOM);
-    const newSize = getRoomSize(DEFAULT_ROOM);
-    socket.emit('joined', { room: DEFAULT_ROOM, peers: newSize, userType: socket.userType });
+    // Switching rooms: leave the previous one once the new one has a seat.
+    if (socket.room && socket.room !== roomId) leaveRoom();
+
+    if (socket.voicePrefs) prewarmVoice(socket.voicePrefs);
+
+    // A newcomer hasn't agreed to an ongoing recording.
+    stopRecording(result.room, 'participants-changed');
+    socket.room = roomId;
+    socket.join(roomId);
+    const newSize = rooms.size(roomId);
+    // The newcomer gets the current participant list and opens a peer
+    // connection (sends an offer) to each of them; existing participants
+    // just wait for that offer.
+    const participants = [...result.room.members]
+      .filter(([id]) => id !== socket.id)
+      .map(([id, info]) => ({ id, userType: info.userType }));
+    socket.emit('joined', { room: roomId, peers: newSize, userType: socket.userType, participants });
+    toPeers('peer_joined', { id: socket.id, userType: socket.userType });
+
+    // Recognize this user's speech in their chosen language, with the room's
+    // custom vocabulary as phrase hints, at the sample rate their page
+    // captures at — or, if that rate is unsupported, tell the page to
+    // resample to the one the recognizer is using.
+    const stt = (payload && payload.stt) || {};
+    const languageCode = normalizeLanguageCode(stt.languageCode);
+    const proposed = normalizeSampleRate(stt.sampleRateHertz);
+    const sampleRateHertz = proposed !== speechToText.getSampleRate(socket.id) ? proposed : null;
+    if (languageCode || sampleRateHertz || result.room.vocabulary.length) {
+      speechToText.reconfigure(socket.id, { languageCode, phrases: result.room.vocabulary, sampleRateHertz });
+    }
+    socket.emit('audioFormat', { encoding: 'LINEAR16', sampleRateHertz: speechToText.getSampleRate(socket.id) });
+    socket.emit('vocabulary', { phrases: result.room.vocabulary });
+    // Everything said in this room so far.
+    socket.emit('transcriptHistory', { entries: result.room.transcript.entries });
+
+    if (newSize >= 2) {
+      io.to(roomId).emit('ready', { peers: newSize });
+    }
+  });
 
-    if (newSize === 2) {
-      io.to(DEFAULT_ROOM).emit('ready');
-      socket.emit('initiate');
+  // Preferences changed mid-call: the voice profile (deaf.html) and the
+  // recognition language (hearing.html).
+  socket.on('setPreferences', (prefs) => {
+    if (prefs && prefs.voice) {
+      socket.voicePrefs = tts.normalizeVoiceOptions(prefs.voice);
+      console.log('[io] voice preferences updated', { socketId: socket.id, voice: socket.voicePrefs });
+      prewarmVoice(socket.voicePrefs);
+    }
+    const languageCode = normalizeLanguageCode(prefs && prefs.stt && prefs.stt.languageCode);
+    if (languageCode) {
+      speechToText.reconfigure(socket.id, { languageCode });
     }
   });
 
+  // Replace the room's custom vocabulary (names, domain terms). Every
+  // participant's recognizer picks it up without dropping in-flight audio.
+  socket.on('setVocabulary', (payload) => {
+    const room = socket.room && rooms.get(socket.room);
+    if (!room) return;
+    room.vocabulary = normalizePhrases(payload && payload.phrases);
+    console.log('[io] room vocabulary updated', { room: room.id, phrases: room.vocabulary.length });
+    room.members.forEach((_info, memberId) => {
+      speechToText.reconfigure(memberId, { phrases: room.vocabulary });
+    });
+    io.to(room.id).emit('vocabulary', { phrases: room.vocabulary, from: socket.id });
+  });
+
   socket.on('signal:offer', (payload) => {
-    socket.to(DEFAULT_ROOM).emit('signal:offer', payload);
+    toPeer('signal:offer', payload);
   });
 
   socket.on('signal:answer', (payload) => {
-    socket.to(DEFAULT_ROOM).emit('signal:answer', payload);
+    toPeer('signal:answer', payload);
   });
 
   socket.on('signal:ice-candidate', (payload) => {
-    socket.to(DEFAULT_ROOM).emit('signal:ice-candidate', payload);
+    toPeer('signal:ice-candidate', payload);
   });
 
   // Completion feedback cross-peer relay
   socket.on('signingDone', () => {
-    socket.to(DEFAULT_ROOM).emit('signingDone');
+    toPeers('signingDone', { from: socket.id });
+  });
+
+  // Avatar playback progress for the utterance being signed (see avatar.js).
+  socket.on('signingProgress', (data) => {
+    const { state, text, percent, duration, wordIndex } = data || {};
+    if (!['started', 'progress', 'finished'].includes(state)) return;
+    toPeers('signingProgress', {
+      state,
+      text: typeof text === 'string' ? text.slice(0, 500) : '',
+      percent: Math.min(100, Math.max(0, Number(percent) || 0)),
+      duration: Number(duration) || 0,
+      // Which spoken word the signing has reached, when the speech had word timings.
+      wordIndex: Number.isInteger(wordIndex) && wordIndex >= 0 ? wordIndex : undefined,
+      from: socket.id,
+    });
   });
 
   socket.on('ttsSpoken', () => {
-    socket.to(DEFAULT_ROOM).emit('ttsSpoken');
+    toPeers('ttsSpoken', { from: socket.id });
   });
 
-  socket.on('aslPrediction', async (data) => {
+  // Letters of a word being fingerspelled, so peers can follow along before
+  // the finished word arrives as an aslPrediction. '' clears the display.
+  // Only letters and digits are relayed — they are all fingerspelling makes.
+  socket.on('fingerspelling', (data) => {
+    const { letters } = data || {};
+    toPeers('fingerspelling', {
+      letters: typeof letters === 'string' ? letters.replace(/[^A-Za-z0-9]/g, '').slice(0, 64) : '',
+      from: socket.id,
+    });
+  });
+
+  // Correct a fingerspelled word without relaying it — compose mode on
+  // deaf.html adds the result to the sentence being drafted.
+  socket.on('correctSpelling', (data, ack) => {
+    const { letters } = data || {};
+    if (typeof ack !== 'function' || typeof letters !== 'string') return;
+    const room = socket.room && rooms.get(socket.room);
+    ack(correctSpelling(letters.slice(0, 64), room ? room.vocabulary : []));
+  });
+
+  socket.on('aslPrediction', async (payload) => {
+    const data = payload || {};
+    // Composed sentences can be long; keep TTS requests bounded.
+    let prediction = typeof data.prediction === 'string' ? data.prediction.slice(0, 500) : data.prediction;
+    let spelled;
+    // A finished fingerspelled word: correct it against the dictionary and
+    // tell the signer what it became.
+    if (data.fingerspelled && typeof prediction === 'string') {
+      const room = socket.room && rooms.get(socket.room);
+      const { word, corrected } = correctSpelling(prediction, room ? room.vocabulary : []);
+      spelled = prediction;
+      prediction = word;
+      socket.emit('fingerspelled', { spelled, word, corrected });
+    }
+
+    // How sure the signer's stability filter was, and the thresholds it used.
+    const confidence = Number.isFinite(data.confidence) ? Math.min(1, Math.max(0, data.confidence)) : undefined;
+    const votes = typeof data.votes === 'string' ? data.votes.slice(0, 16) : undefined;
+    const thresholds = data.thresholds && typeof data.thresholds === 'object'
+      ? Object.fromEntries(Object.entries(data.thresholds).filter(([, v]) => Number.isFinite(v)).slice(0, 8))
+      : undefined;
+
     // 1. Broadcast the text prediction to the peer for display.
-    socket.to(DEFAULT_ROOM).emit('aslPrediction', {
-      prediction: data.prediction,
-      isLocal: true
+    toPeers('aslPrediction', {
+      prediction,
+      spelled,
+      confidence,
+      votes,
+      thresholds,
+      composed: data.composed === true,
+      isLocal: true,
+      from: socket.id,
     });
 
+    if (typeof prediction === 'string') {
+      recordTranscript(socket, { kind: 'sign', text: prediction, confidence });
+    }
+
     // 2. Convert the prediction to speech and send audio to the peer.
-    if (data.prediction) {
-      try {
-        const audioBase64 = await tts.synthesize(data.prediction);
-        socket.to(DEFAULT_ROOM).emit('ttsAudio', { audioBase64 });
-        console.log(`[TTS] Synthesized "${data.prediction}" → sent audio to peer`);
-      } catch (err) {
-        console.error('[TTS] synthesize error:', err.message);
-      }
+    if (prediction) await speakToPeers(prediction);
+  });
+
+  // Recording consent handshake (see server/recording.js). The requester
+  // records in their browser once every other participant has accepted.
+  socket.on('recordingRequest', () => {
+    const room = socket.room && rooms.get(socket.room);
+    if (!room) return;
+    if (room.recording && room.recording.active) {
+      socket.emit('recordingState', room.recording);
+      return;
+    }
+    room.recording = new RecordingSession(socket.id, room.members.keys());
+    console.log('[io] recording requested', { room: room.id, by: socket.id, state: room.recording.state });
+    io.to(room.id).emit('recordingState', room.recording);
+  });
+
+  socket.on('recordingConsent', (data) => {
+    const room = socket.room && rooms.get(socket.room);
+    if (!room || !room.recording) return;
+    if (room.recording.answer(socket.id, Boolean(data) && data.accept === true)) {
+      console.log('[io] recording', room.recording.state, { room: room.id });
+      io.to(room.id).emit('recordingState', room.recording);
+    }
+  });
+
+  socket.on('recordingStop', () => {
+    const room = socket.room && rooms.get(socket.room);
+    if (room) stopRecording(room, 'stopped');
+  });
+
+  // Typed chat. Messages normally travel peer to peer over the `captions`
+  // data channel but are always sent here too, to be logged; the server
+  // relays them when a channel isn't open (receivers drop duplicates by id)
+  // and, for `speak`, reads them out to the peers.
+  socket.on('chat', async (payload) => {
+    const data = payload || {};
+    if (typeof data.text !== 'string' || !data.text.trim()) return;
+    const text = data.text.trim().slice(0, MAX_CHAT_LENGTH);
+    const id = typeof data.id === 'string' ? data.id.slice(0, 64) : undefined;
+    if (data.relay !== false) {
+      toPeers('chat', { id, text, role: socket.userType, from: socket.id });
     }
+    recordTranscript(socket, { kind: 'chat', text });
+    if (data.speak) await speakToPeers(text);
   });
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
+  // The default voice; the other presets are warmed as users pick them.
+  prewarmVoice();
 });
@@ -1,5 +1,6 @@
 from flask import Flask, request, jsonify
 from flask_cors import CORS
+import os
 import pickle
 import numpy as np
 
@@ -11,30 +12,171 @@ with open('asl/model.p', 'rb') as f:
     model_dict = pickle.load(f)
 model = model_dict['model']
 
-print(f"Model loaded: {model.n_features_in_} features, {len(model.classes_)} classes")
+# Every request must match what the model was trained on (see asl/features.py:
+# two hands × 21 landmarks × x/y in detection order, zeros for a missing hand).
+FEATURE_LENGTH = int(model.n_features_in_)
+
+print(f"Model loaded: {FEATURE_LENGTH} features, {len(model.classes_)} classes")
+
+# Optional sequence model for dynamic (moving) signs: a pickle with 'model'
+# (trained on `frames` resampled frames of static features, flattened). Without
+# it, /predict-sequence falls back to voting the static model across the window.
+SEQUENCE_MODEL_PATH = os.environ.get('SEQUENCE_MODEL_PATH', 'asl/sequence_model.p')
+sequence_model = None
+sequence_frames = 0
+if os.path.exists(SEQUENCE_MODEL_PATH):
+    with open(SEQUENCE_MODEL_PATH, 'rb') as f:
+        sequence_dict = pickle.load(f)
+    sequence_model = sequence_dict['model']
+    sequence_frames = int(sequence_dict['frames'])
+    print(f"Sequence model loaded: {sequence_frames} frames, {len(sequence_model.classes_)} classes")
+
+MAX_SEQUENCE_FRAMES = 120
+NUM_HANDS = 2
+# Fingertip travel (in normalised image units) that turns a static I / D into
+# the traced letters J / Z.
+TRACE_THRESHOLD = 0.15
+TRACED_LETTERS = {'I': ('J', 20), 'D': ('Z', 8)}  # letter: (traced letter, fingertip landmark)
+
+
+class FeatureError(ValueError):
+    pass
+
+
+def to_model_features(features):
+    """Validate one frame's feature vector; raises FeatureError when malformed."""
+    if not isinstance(features, list) or len(features) == 0:
+        raise FeatureError('No features provided')
+    if len(features) != FEATURE_LENGTH:
+        raise FeatureError(
+            f'Expected {FEATURE_LENGTH} features (2 hands x 21 landmarks x/y in detection order, '
+            f'zeros for a missing hand), got {len(features)}'
+        )
+    try:
+        vector = np.array(features, dtype=float)
+    except (TypeError, ValueError):
+        raise FeatureError('Features must be numbers')
+    if not np.all(np.isfinite(vector)):
+        raise FeatureError('Features must be finite numbers')
+    return vector
+
+
+def to_origins(origins):
+    """Validate one frame's `origins`, padded to one entry per hand block;
+    raises FeatureError when malformed. Missing origins mean no motion data."""
+    if origins is None:
+        return [None] * NUM_HANDS
+    if not isinstance(origins, list) or len(origins) > NUM_HANDS:
+        raise FeatureError(f'origins must be a list of at most {NUM_HANDS} [x, y] pairs or nulls')
+    validated = []
+    for origin in origins:
+        if origin is None:
+            validated.append(None)
+            continue
+        if (not isinstance(origin, list) or len(origin) != 2
+                or not all(isinstance(v, (int, float)) and not isinstance(v, bool) for v in origin)
+                or not np.all(np.isfinite(origin))):
+            raise FeatureError('Each origin must be an [x, y] pair of finite numbers or null')
+        validated.append((float(origin[0]), float(origin[1])))
+    return validated + [None] * (NUM_HANDS - len(validated))
+
+
+def top_predictions(classes, probabilities, k=3):
+    order = np.argsort(probabilities)[::-1][:k]
+    return [{'label': str(classes[i]), 'probability': float(probabilities[i])} for i in order]
+
+
+def fingertip_travel(batch, origins, landmark):
+    """Longest path of one fingertip across the window, in image coordinates.
+
+    Features are relative to a per-hand reference point, so each frame's
+    origins (from to_origins: one (x, y) per hand block, None for a missing
+    hand) are added back to recover motion. Both hands are measured; the
+    larger travel wins.
+    """
+    travel = 0.0
+    for hand in range(NUM_HANDS):
+        points = []
+        offset = hand * 42 + landmark * 2
+        for features, frame_origins in zip(batch, origins):
+            origin = frame_origins[hand]
+            if origin:
+                points.append((features[offset] + origin[0], features[offset + 1] + origin[1]))
+        if len(points) >= 2:
+            steps = np.diff(np.array(points), axis=0)
+            travel = max(travel, float(np.sum(np.linalg.norm(steps, axis=1))))
+    return travel
+
 
 @app.route('/predict', methods=['POST'])
 def predict():
-    data = request.json
-    features = np.array(data.get('features', []))
-    
-    if len(features) == 0:
-        return jsonify({'error': 'No features provided'}), 400
-    
-    # Pad to 84 features
-    if len(features) < 84:
-        features = np.pad(features, (0, 84 - len(features)))
-    
+    data = request.json or {}
+    try:
+        features = to_model_features(data.get('features'))
+    except FeatureError as err:
+        return jsonify({'error': str(err)}), 400
+
     # Make prediction
     prediction = model.predict([features])[0]
     probabilities = model.predict_proba([features])[0]
-    
+
     return jsonify({
         'prediction': prediction,
         'probability': float(max(probabilities)),
         'classes': model.classes_.tolist()
     })
 
+
+@app.route('/predict-sequence', methods=['POST'])
+def predict_sequence():
+    """Classify a sliding window of frames: { frames: [{ features, origins }] }."""
+    data = request.json or {}
+    frames = data.get('frames') or []
+
+    if not isinstance(frames, list) or len(frames) < 2:
+        return jsonify({'error': 'At least 2 frames required'}), 400
+    if len(frames) > MAX_SEQUENCE_FRAMES:
+        return jsonify({'error': f'At most {MAX_SEQUENCE_FRAMES} frames allowed'}), 400
+    if not all(isinstance(f, dict) for f in frames):
+        return jsonify({'error': 'Every frame must be an object with a features array'}), 400
+    try:
+        batch = np.array([to_model_features(f.get('features')) for f in frames])
+        origins = [to_origins(f.get('origins')) for f in frames]
+    except FeatureError as err:
+        return jsonify({'error': str(err)}), 400
+
+    if sequence_model is not None:
+        # Resample the window to the length the sequence model was trained on.
+        idx = np.linspace(0, len(batch) - 1, sequence_frames).round().astype(int)
+        probabilities = sequence_model.predict_proba([batch[idx].flatten()])[0]
+        classes = sequence_model.classes_
+        source = 'sequence-model'
+    else:
+        # Average the static model's probabilities over the window — a sign
+        # held (or moved through) for most of the window wins.
+        probabilities = model.predict_proba(batch).mean(axis=0)
+        classes = model.classes_
+        source = 'static-vote'
+
+    predictions = top_predictions(classes, probabilities)
+    best = predictions[0]
+
+    # J and Z are I and D traced through the air, which the static model
+    # cannot see; promote them when the fingertip moved far enough.
+    if source == 'static-vote' and best['label'] in TRACED_LETTERS:
+        traced, landmark = TRACED_LETTERS[best['label']]
+        if fingertip_travel(batch, origins, landmark) > TRACE_THRESHOLD:
+            best = {'label': traced, 'probability': best['probability']}
+            predictions.insert(0, best)
+
+    return jsonify({
+        'prediction': best['label'],
+        'probability': best['probability'],
+        'predictions': predictions,
+        'frames': len(frames),
+        'source': source,
+    })
+
 @app.route('/health')
 def health():
     return 'OK'
@@ -7,6 +7,7 @@ import pickle
 import mediapipe as mp
 import numpy as np
 from asl.labels_dict import labels_dict
+from asl.features import build_features
 
 app = Flask(__name__)
 
@@ -37,7 +38,8 @@ def init_classifier():
     mp_drawing_styles = mp.solutions.drawing_styles
     
     hands = mp_hands.Hands(
-        static_image_mode=True, 
+        static_image_mode=True,
+        max_num_hands=2,
         min_detection_confidence=0.3
     )
     
@@ -46,10 +48,6 @@ def init_classifier():
 
 
 def predict_gesture(frame):
-    data_aux = []
-    x_ = []
-    y_ = []
-
     H, W, _ = frame.shape
     frame_rgb = cv2.cvtColor(frame, cv2.COLOR_BGR2RGB)
 
@@ -66,27 +64,14 @@ def predict_gesture(frame):
                 mp_drawing_styles.get_default_hand_connections_style(),
             )
 
-        for hand_landmarks in results.multi_hand_landmarks:
-            for i in range(len(hand_landmarks.landmark)):
-                x = hand_landmarks.landmark[i].x
-                y = hand_landmarks.landmark[i].y
-                x_.append(x)
-                y_.append(y)
-
-            for i in range(len(hand_landmarks.landmark)):
-                x = hand_landmarks.landmark[i].x
-                y = hand_landmarks.landmark[i].y
-                data_aux.append(x - min(x_))
-                data_aux.append(y - min(y_))
+        data_aux, x_, y_ = build_features(results.multi_hand_landmarks)
 
         x1 = int(min(x_) * W) - 10
         y1 = int(min(y_) * H) - 10
         x2 = int(max(x_) * W) - 10
         y2 = int(max(y_) * H) - 10
 
-        prediction = gesture_classifier.predict(
-            [np.asarray(data_aux + [0] * (84 - len(data_aux)))]
-        )
+        prediction = gesture_classifier.predict([np.asarray(data_aux)])
         predicted_character = labels_dict[prediction[0]]
 
         cv2.rectangle(frame, (x1, y1), (x2, y2), (0, 0, 0), 4)
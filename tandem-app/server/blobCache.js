@@ -0,0 +1,90 @@
+// server/blobCache.js
+// Two-level binary cache: an in-memory LRU in front of an optional on-disk
+// store. Subclasses define how keys are derived (see ttsCache.js, poseCache.js).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+class BlobCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - in-memory LRU size
+   * @param {string|null} [options.dir] - on-disk cache directory; null disables disk
+   * @param {string} [options.extension] - file extension for disk entries
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, dir = null, extension = 'bin' } = {}) {
+    this.maxEntries = maxEntries;
+    this.dir = dir;
+    this.extension = extension;
+    // Map iteration order is insertion order, so re-inserting on every hit
+    // keeps the least recently used entry first.
+    this.memory = new Map();
+    // The directory is created on the first write, so constructing a cache
+    // (e.g. when a module is required) touches nothing on disk.
+    this.dirReady = null;
+  }
+
+  /** @returns {Promise<boolean>} whether the disk cache can be written to */
+  _ensureDir() {
+    if (!this.dirReady) {
+      this.dirReady = fs.promises.mkdir(this.dir, { recursive: true }).then(() => true, (err) => {
+        console.warn(`[cache] disk cache at ${this.dir} disabled:`, err.message);
+        this.dir = null;
+        return false;
+      });
+    }
+    return this.dirReady;
+  }
+
+  _filePath(key) {
+    return path.join(this.dir, `${key}.${this.extension}`);
+  }
+
+  _remember(key, data) {
+    this.memory.delete(key);
+    this.memory.set(key, data);
+    while (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer|null>} cached data, or null on a miss
+   */
+  async get(key) {
+    const hit = this.memory.get(key);
+    if (hit) {
+      this._remember(key, hit);
+      return hit;
+    }
+    if (!this.dir) return null;
+    try {
+      const data = await fs.promises.readFile(this._filePath(key));
+      this._remember(key, data);
+      return data;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} data
+   */
+  async set(key, data) {
+    this._remember(key, data);
+    if (!this.dir || !(await this._ensureDir())) return;
+    try {
+      // Write to a temp file first so a crash never leaves a truncated entry.
+      const tmp = `${this._filePath(key)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, this._filePath(key));
+    } catch (err) {
+      console.warn('[cache] disk write failed:', err.message);
+    }
+  }
+}
+
+module.exports = BlobCache;
@@ -0,0 +1,96 @@
+// server/poseCache.js
+// Cache for signing-avatar poses. Two sources are consulted before the
+// upstream pose service is called:
+//   1. a content-addressed cache (memory LRU + disk) of every pose fetched so far
+//   2. a pre-seeded pose library of human-readable files, one per phrase,
+//      filled by `npm run seed:poses` (see server/seedPoses.js)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BlobCache = require('./blobCache');
+
+class PoseCache extends BlobCache {
+  /**
+   * @param {object} [options] - see BlobCache, plus:
+   * @param {string|null} [options.libraryDir] - pre-seeded pose library root
+   */
+  constructor({ libraryDir = null, ...options } = {}) {
+    super({ extension: 'pose', ...options });
+    this.libraryDir = libraryDir;
+  }
+
+  /**
+   * Normalise text so trivially different requests share a pose:
+   * case, surrounding whitespace/punctuation and repeated spaces don't matter.
+   * @param {string} text
+   * @returns {string}
+   */
+  static normalizeText(text) {
+    return String(text)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s.,!?;:]+|[\s.,!?;:]+$/g, '');
+  }
+
+  /**
+   * Content-addressed key for a (text, spoken, signed) request.
+   * @returns {string} hex digest
+   */
+  static key(text, spoken, signed) {
+    const normalized = JSON.stringify([PoseCache.normalizeText(text), spoken, signed]);
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Library file for a phrase, e.g. <libraryDir>/en-ase/thank-you.pose
+   * @returns {string|null} null when no library is configured or the text has no slug
+   */
+  libraryPath(text, spoken, signed) {
+    if (!this.libraryDir) return null;
+    const slug = PoseCache.normalizeText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!slug) return null;
+    return path.join(this.libraryDir, `${spoken}-${signed}`, `${slug}.pose`);
+  }
+
+  /**
+   * Find a pose without contacting the upstream service.
+   * @returns {Promise<{ pose: Buffer, source: 'memory'|'library'|'disk' }|null>}
+   */
+  async lookup(text, spoken, signed) {
+    const key = PoseCache.key(text, spoken, signed);
+    const inMemory = this.memory.get(key);
+    if (inMemory) {
+      this._remember(key, inMemory);
+      return { pose: inMemory, source: 'memory' };
+    }
+
+    const libraryFile = this.libraryPath(text, spoken, signed);
+    if (libraryFile) {
+      try {
+        const pose = await fs.promises.readFile(libraryFile);
+        this._remember(key, pose);
+        return { pose, source: 'library' };
+      } catch {
+        // Not in the library — fall through to the disk cache.
+      }
+    }
+
+    const onDisk = await this.get(key);
+    return onDisk ? { pose: onDisk, source: 'disk' } : null;
+  }
+
+  /** Store a pose fetched from upstream in the content-addressed cache. */
+  store(text, spoken, signed, pose) {
+    return this.set(PoseCache.key(text, spoken, signed), pose);
+  }
+
+  /** Write a pose into the pre-seeded library (used by the seeding script). */
+  async addToLibrary(text, spoken, signed, pose) {
+    const file = this.libraryPath(text, spoken, signed);
+    if (!file) throw new Error(`No library path for "${text}"`);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, pose);
+  }
+}
+
+module.exports = PoseCache;
@@ -0,0 +1,175 @@
+// server/poseFormat.js
+// Minimal reader/writer for the binary `.pose` format (pose-format v0.1, as
+// produced by sign.mt and read by pose-viewer), plus concatenation so several
+// poses can be played back as one clip.
+//
+// Layout (all little-endian):
+//   header: version f32 · width, height, depth u16 · component count u16 ·
+//           per component: name str, format str, point/limb/color counts u16,
+//           point names, limbs (u16 pairs), colors (u16 triples)
+//   body:   fps u16 · frame count u16 (informational) · people u16 ·
+//           data f32[frames][people][points][dims] ·
+//           confidence f32[frames][people][points]
+// where str = u16 byte length + UTF-8 bytes and dims = format length − 1
+// (e.g. "XYZC" → x, y, z with the confidence stored separately).
+
+const SUPPORTED_VERSION = 0.1;
+
+class PoseReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  u16() {
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  f32() {
+    const value = this.buffer.readFloatLE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  str() {
+    const length = this.u16();
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+}
+
+/**
+ * Parse a `.pose` buffer.
+ * @param {Buffer} buffer
+ * @returns {{ header: Buffer, version: number, fps: number, people: number,
+ *   points: number, dims: number, frames: number,
+ *   data: Float32Array, confidence: Float32Array }}
+ * @throws {Error} on an unsupported version or truncated input
+ */
+function parsePose(buffer) {
+  const reader = new PoseReader(buffer);
+  const version = Math.round(reader.f32() * 1000) / 1000;
+  if (version !== SUPPORTED_VERSION) {
+    throw new Error(`Unsupported pose version ${version}`);
+  }
+  reader.offset += 6; // width, height, depth
+
+  let points = 0;
+  let dims = 0;
+  const componentCount = reader.u16();
+  for (let c = 0; c < componentCount; c++) {
+    reader.str(); // name
+    const format = reader.str();
+    const pointCount = reader.u16();
+    const limbCount = reader.u16();
+    const colorCount = reader.u16();
+    for (let p = 0; p < pointCount; p++) reader.str();
+    reader.offset += limbCount * 4 + colorCount * 6;
+    points += pointCount;
+    dims = Math.max(dims, format.length - 1);
+  }
+  const header = buffer.subarray(0, reader.offset);
+
+  const fps = reader.u16();
+  reader.u16(); // frame count — capped at 65535, so derive it from the data size
+  const people = reader.u16();
+  const bytesPerFrame = people * points * (dims + 1) * 4;
+  const frames = bytesPerFrame ? Math.floor((buffer.length - reader.offset) / bytesPerFrame) : 0;
+
+  // Copy rather than view: the body is not guaranteed to be 4-byte aligned.
+  const body = buffer.subarray(reader.offset, reader.offset + frames * bytesPerFrame);
+  const floats = new Float32Array(body.length / 4);
+  for (let i = 0; i < floats.length; i++) floats[i] = body.readFloatLE(i * 4);
+  const dataLength = frames * people * points * dims;
+
+  return {
+    header,
+    version,
+    fps,
+    people,
+    points,
+    dims,
+    frames,
+    data: floats.subarray(0, dataLength),
+    confidence: floats.subarray(dataLength),
+  };
+}
+
+/**
+ * Serialise a pose produced by parsePose() / concatPoses().
+ * @param {ReturnType<typeof parsePose>} pose
+ * @returns {Buffer}
+ */
+function writePose(pose) {
+  const body = Buffer.alloc(6 + (pose.data.length + pose.confidence.length) * 4);
+  body.writeUInt16LE(Math.min(65535, Math.round(pose.fps)), 0);
+  body.writeUInt16LE(Math.min(65535, pose.frames), 2);
+  body.writeUInt16LE(pose.people, 4);
+  let offset = 6;
+  for (const value of pose.data) offset = body.writeFloatLE(value, offset);
+  for (const value of pose.confidence) offset = body.writeFloatLE(value, offset);
+  return Buffer.concat([pose.header, body]);
+}
+
+/**
+ * Join poses end to end, inserting `transitionFrames` interpolated frames
+ * between consecutive clips so the avatar glides from one sign into the next
+ * instead of jumping. Points missing on either side of a transition (zero
+ * confidence, e.g. a hand out of frame) are hidden rather than interpolated
+ * towards the origin.
+ * @param {ReturnType<typeof parsePose>[]} poses - must share a skeleton header
+ * @param {object} [options]
+ * @param {number} [options.transitionFrames]
+ * @returns {ReturnType<typeof parsePose>}
+ */
+function concatPoses(poses, { transitionFrames = 4 } = {}) {
+  if (poses.length === 0) throw new Error('Nothing to concatenate');
+  const [first] = poses;
+  for (const pose of poses) {
+    if (!pose.header.equals(first.header) || pose.people !== first.people) {
+      throw new Error('Poses use different skeletons and cannot be concatenated');
+    }
+  }
+
+  const { people, points, dims } = first;
+  const frameData = people * points * dims;
+  const frameConfidence = people * points;
+  const clips = poses.filter((pose) => pose.frames > 0);
+  const frames = clips.reduce((sum, pose) => sum + pose.frames, 0)
+    + Math.max(0, clips.length - 1) * transitionFrames;
+  const data = new Float32Array(frames * frameData);
+  const confidence = new Float32Array(frames * frameConfidence);
+
+  let frame = 0;
+  clips.forEach((pose, index) => {
+    if (index > 0) {
+      const prev = clips[index - 1];
+      const fromData = (prev.frames - 1) * frameData;
+      const fromConf = (prev.frames - 1) * frameConfidence;
+      for (let t = 1; t <= transitionFrames; t++, frame++) {
+        const alpha = t / (transitionFrames + 1);
+        for (let p = 0; p < frameConfidence; p++) {
+          const a = prev.confidence[fromConf + p];
+          const b = pose.confidence[p];
+          if (a <= 0 || b <= 0) continue; // leave the point hidden (zeros)
+          confidence[frame * frameConfidence + p] = a + (b - a) * alpha;
+          for (let d = 0; d < dims; d++) {
+            const from = prev.data[fromData + p * dims + d];
+            const to = pose.data[p * dims + d];
+            data[frame * frameData + p * dims + d] = from + (to - from) * alpha;
+          }
+        }
+      }
+    }
+    data.set(pose.data, frame * frameData);
+    confidence.set(pose.confidence, frame * frameConfidence);
+    frame += pose.frames;
+  });
+
+  return { ...first, frames, data, confidence };
+}
+
+module.exports = { parsePose, writePose, concatPoses, SUPPORTED_VERSION };
@@ -1,19 +1,47 @@
 const express = require('express');
-const router = express.Router();
-const { Readable } = require('stream');
-const { Readable: WebReadable } = require('stream/web');
-
-// GET /pose?text=Hello&spoken=en&signed=ase
-router.get('/pose', async (req, res) => {
-  const { text, spoken = 'en', signed = 'ase' } = req.query;
-  if (!text || !String(text).trim()) {
-    return res.status(400).send('Missing text');
-  }
+const path = require('path');
+const PoseCache = require('./poseCache');
+const { parsePose, writePose, concatPoses } = require('./poseFormat');
+
+// sign.mt's text → pose Cloud Function. Override with POSE_UPSTREAM_URL to use
+// a self-hosted or stand-in service (it receives the same query parameters).
+const DEFAULT_UPSTREAM_URL = 'https://us-central1-sign-mt.cloudfunctions.net/spoken_text_to_signed_pose';
+const APP_ROOT = path.join(__dirname, '..');
+// `spoken` / `signed` name a library directory, so only plain language codes.
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+const isLanguageCode = (code) => typeof code === 'string' && LANGUAGE_PATTERN.test(code);
+// Bounds on one /pose request. A failed sentence is re-requested word by word
+// and letter by letter, so without them one long text would fan out into
+// hundreds of sequential upstream calls.
+const MAX_TEXT_LENGTH = 500;        // characters (413 beyond)
+const MAX_WORDS = 50;               // words (400 beyond)
+const MAX_STITCH_FETCHES = 60;      // upstream calls spent stitching one sentence
 
-  try {
-    const base = 'https://us-central1-sign-mt.cloudfunctions.net/spoken_text_to_signed_pose';
-    const url = `${base}?text=${encodeURIComponent(text)}&spoken=${encodeURIComponent(spoken)}&signed=${encodeURIComponent(signed)}`;
+/**
+ * Build the GET /pose router.
+ * @param {object} [options]
+ * @param {string} [options.upstreamUrl] - pose service endpoint
+ * @param {PoseCache} [options.cache] - pose cache / library
+ * @returns {express.Router}
+ */
+function createPoseRouter({
+  upstreamUrl = process.env.POSE_UPSTREAM_URL || DEFAULT_UPSTREAM_URL,
+  cache = new PoseCache({
+    // POSE_CACHE_DIR= (empty) keeps the cache in memory only.
+    dir: process.env.POSE_CACHE_DIR === '' ? null
+      : process.env.POSE_CACHE_DIR || path.join(APP_ROOT, '.cache', 'poses'),
+    libraryDir: process.env.POSE_LIBRARY_DIR || path.join(APP_ROOT, 'pose-library'),
+  }),
+} = {}) {
+  const router = express.Router();
 
+  /**
+   * Fetch a pose from the upstream service. A 200 whose body isn't a readable
+   * pose counts as a failure, so it is never cached or served.
+   * @returns {Promise<{ ok: true, pose: Buffer } | { ok: false, status: number, body: string }>}
+   */
+  async function fetchUpstream(text, spoken, signed) {
+    const url = `${upstreamUrl}?text=${encodeURIComponent(text)}&spoken=${encodeURIComponent(spoken)}&signed=${encodeURIComponent(signed)}`;
     const upstream = await fetch(url, {
       method: 'GET',
       headers: {
@@ -24,33 +52,152 @@ router.get('/pose', async (req, res) => {
       },
     });
 
-    res.status(upstream.status);
-    upstream.headers.forEach((value, key) => {
-      if (!['transfer-encoding', 'content-encoding'].includes(key)) {
-        res.setHeader(key, value);
-      }
-    });
-    res.setHeader('Cache-Control', 'no-store');
-
-    if (!upstream.body) return res.end();
-
     if (!upstream.ok) {
-      const bodyTxt = await upstream.text().catch(() => '');
-      console.error('Upstream error', upstream.status, bodyTxt.slice(0, 500));
-      return res.end(bodyTxt);
+      const body = await upstream.text().catch(() => '');
+      return { ok: false, status: upstream.status, body };
+    }
+    // Poses are small (tens to hundreds of KB), so buffer them for the cache
+    // rather than streaming straight through.
+    const pose = Buffer.from(await upstream.arrayBuffer());
+    try {
+      parsePose(pose);
+    } catch (err) {
+      return { ok: false, status: 502, body: `Invalid pose from upstream: ${err.message}` };
     }
+    return { ok: true, pose };
+  }
 
+  /**
+   * A pose for a single word or letter: cache / library first, then upstream
+   * (unless `state.offline`, set once the upstream proved unreachable, the
+   * upstream already refused this text during the current request, or the
+   * request has used up its `state.fetches` budget).
+   * @returns {Promise<Buffer|null>}
+   */
+  async function resolvePose(text, spoken, signed, state) {
+    const cached = await cache.lookup(text, spoken, signed);
+    if (cached) return cached.pose;
+    const normalized = PoseCache.normalizeText(text);
+    if (state.offline || state.failed.has(normalized) || state.fetches <= 0) return null;
+    state.fetches--;
     try {
-      const nodeReadable = Readable.fromWeb ? Readable.fromWeb(upstream.body) : WebReadable.toWeb(upstream.body);
-      return nodeReadable.pipe(res);
+      const result = await fetchUpstream(text, spoken, signed);
+      if (!result.ok) {
+        state.failed.add(normalized);
+        return null;
+      }
+      await cache.store(text, spoken, signed, result.pose);
+      return result.pose;
     } catch {
-      const buf = Buffer.from(await upstream.arrayBuffer());
-      return res.end(buf);
+      state.offline = true;
+      return null;
+    }
+  }
+
+  /**
+   * Fallback when the pose service cannot sign the whole sentence: sign it
+   * word by word, fingerspelling words without a pose letter by letter, and
+   * join the pieces into one clip. Letters or words with no pose at all are
+   * skipped so the viewer still gets something to sign.
+   * @param {object} state - { offline, failed, fetches } from the failed sentence request
+   * @returns {Promise<Buffer|null>} null if not a single piece could be found
+   */
+  async function stitchPose(text, spoken, signed, state) {
+    const pieces = [];
+    for (const word of PoseCache.normalizeText(text).split(' ')) {
+      const wordPose = await resolvePose(word, spoken, signed, state);
+      if (wordPose) {
+        pieces.push(wordPose);
+        continue;
+      }
+      for (const letter of word.replace(/[^a-z0-9]/g, '')) {
+        const letterPose = await resolvePose(letter, spoken, signed, state);
+        if (letterPose) pieces.push(letterPose);
+      }
+    }
+
+    const parsed = [];
+    for (const piece of pieces) {
+      try {
+        parsed.push(parsePose(piece));
+      } catch (err) {
+        console.warn('[pose] skipping unreadable pose:', err.message);
+      }
     }
-  } catch (e) {
-    console.error('Proxy error:', e && e.stack ? e.stack : e);
-    res.status(500).send('Proxy error');
+    if (parsed.length === 0) return null;
+    // Everything must share the first piece's skeleton to be joined.
+    const compatible = parsed.filter((p) => p.header.equals(parsed[0].header) && p.people === parsed[0].people);
+    return writePose(concatPoses(compatible));
+  }
+
+  function sendPose(res, pose, source) {
+    res.setHeader('Content-Type', 'application/octet-stream');
+    // A pose for a given text never changes, so the browser may reuse it too.
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.setHeader('X-Pose-Source', source);
+    res.end(pose);
   }
-});
 
-module.exports = router;
+  // GET /pose?text=Hello&spoken=en&signed=ase
+  router.get('/pose', async (req, res) => {
+    const { text, spoken = 'en', signed = 'ase' } = req.query;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).send('Missing text');
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(413).send(`Text longer than ${MAX_TEXT_LENGTH} characters`);
+    }
+    if (PoseCache.normalizeText(text).split(' ').length > MAX_WORDS) {
+      return res.status(400).send(`Text longer than ${MAX_WORDS} words`);
+    }
+    if (!isLanguageCode(spoken) || !isLanguageCode(signed)) {
+      return res.status(400).send('Invalid language');
+    }
+
+    try {
+      const cached = await cache.lookup(text, spoken, signed);
+      if (cached) return sendPose(res, cached.pose, cached.source);
+
+      const state = {
+        offline: false,
+        failed: new Set([PoseCache.normalizeText(text)]),
+        fetches: MAX_STITCH_FETCHES,
+      };
+      let result;
+      try {
+        result = await fetchUpstream(text, spoken, signed);
+      } catch (err) {
+        console.error('Upstream unreachable:', err.message);
+        state.offline = true;
+        result = { ok: false, status: 502, body: 'Pose service unreachable' };
+      }
+      if (result.ok) {
+        await cache.store(text, spoken, signed, result.pose);
+        return sendPose(res, result.pose, 'upstream');
+      }
+      if (!state.offline) console.error('Upstream error', result.status, result.body.slice(0, 500));
+
+      // The stitched clip is not cached under the sentence: once the service
+      // recovers, the sentence should get its proper, fluent pose.
+      const stitched = await stitchPose(text, spoken, signed, state);
+      res.setHeader('Cache-Control', 'no-store');
+      if (stitched) {
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('X-Pose-Source', 'stitched');
+        return res.end(stitched);
+      }
+      return res.status(result.status).end(result.body);
+    } catch (e) {
+      console.error('Proxy error:', e && e.stack ? e.stack : e);
+      res.status(500).send('Proxy error');
+    }
+  });
+
+  router.fetchUpstream = fetchUpstream;
+  router.stitchPose = stitchPose;
+  router.cache = cache;
+  return router;
+}
+
+module.exports = createPoseRouter();
+module.exports.createPoseRouter = createPoseRouter;
@@ -0,0 +1,73 @@
+// server/recording.js
+// Consent handshake for call recording. Recording is opt-in for everyone: a
+// participant asks, every other participant in the room must accept, and a
+// single refusal cancels the request. Anyone can stop it, and it stops by
+// itself when someone joins or leaves, since the room no longer matches the
+// people who agreed. The recording itself happens in the requester's browser
+// (public/recorder.js); the server only arbitrates consent and timestamps the
+// session so the transcript can be cut to match it.
+
+class RecordingSession {
+  /**
+   * @param {string} requestedBy - socket id of the participant asking to record
+   * @param {Iterable<string>} members - socket ids in the room at the time
+   */
+  constructor(requestedBy, members) {
+    this.requestedBy = requestedBy;
+    this.awaiting = new Set([...members].filter((id) => id !== requestedBy));
+    this.state = this.awaiting.size ? 'pending' : 'recording';
+    this.startedAt = this.state === 'recording' ? Date.now() : null;
+    this.stoppedAt = null;
+    this.reason = null;
+  }
+
+  /** Whether the session is still waiting for consent or recording. */
+  get active() {
+    return this.state === 'pending' || this.state === 'recording';
+  }
+
+  /**
+   * Record one participant's answer.
+   * @param {string} socketId
+   * @param {boolean} accept
+   * @returns {boolean} true if the answer changed the session's state
+   */
+  answer(socketId, accept) {
+    if (this.state !== 'pending' || !this.awaiting.has(socketId)) return false;
+    if (!accept) {
+      this.state = 'declined';
+      this.reason = 'declined';
+      return true;
+    }
+    this.awaiting.delete(socketId);
+    if (this.awaiting.size) return false;
+    this.state = 'recording';
+    this.startedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * End the session (no-op once it has ended).
+   * @param {string} reason - e.g. 'stopped', 'participants-changed'
+   */
+  stop(reason) {
+    if (!this.active) return;
+    this.state = this.state === 'recording' ? 'stopped' : 'cancelled';
+    this.stoppedAt = this.startedAt ? Date.now() : null;
+    this.reason = reason;
+  }
+
+  /** What clients are told via `recordingState`. */
+  toJSON() {
+    return {
+      state: this.state,
+      requestedBy: this.requestedBy,
+      awaiting: [...this.awaiting],
+      startedAt: this.startedAt,
+      stoppedAt: this.stoppedAt,
+      reason: this.reason,
+    };
+  }
+}
+
+module.exports = { RecordingSession };
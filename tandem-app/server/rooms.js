@@ -0,0 +1,120 @@
+// server/rooms.js
+// In-memory registry of call rooms. Socket.IO already tracks which sockets are
+// in which room; this module owns the bookkeeping around it: validating the
+// shareable room codes, enforcing capacity, and expiring rooms once everyone
+// has left so per-room state does not accumulate for the life of the process.
+const EventEmitter = require('events');
+
+// Room codes travel in URLs (`/deaf.html?room=abc123`), so keep them short,
+// lowercase and URL-safe.
+const ROOM_ID_PATTERN = /^[a-z0-9-]{3,32}$/;
+const DEFAULT_CAPACITY = 2;
+// Grace period before an empty room is forgotten — long enough to survive a
+// page reload or a brief network drop on both sides.
+const EMPTY_ROOM_TTL = 5 * 60 * 1000;
+
+/**
+ * Normalise a client-supplied room code.
+ * @param {unknown} roomId
+ * @returns {string|null} the lowercase code, or null if it is not a valid code
+ */
+function normalizeRoomId(roomId) {
+  if (typeof roomId !== 'string') return null;
+  const id = roomId.trim().toLowerCase();
+  return ROOM_ID_PATTERN.test(id) ? id : null;
+}
+
+class RoomManager extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.capacity]  max sockets per room
+   * @param {number} [options.emptyTtl]  ms an empty room is kept before expiring
+   */
+  constructor({ capacity = DEFAULT_CAPACITY, emptyTtl = EMPTY_ROOM_TTL } = {}) {
+    super();
+    this.capacity = capacity;
+    this.emptyTtl = emptyTtl;
+    this.rooms = new Map();
+  }
+
+  /**
+   * Look up a room record.
+   * @param {string} roomId
+   */
+  get(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Number of sockets currently in a room (0 for unknown rooms).
+   * @param {string} roomId
+   * @returns {number}
+   */
+  size(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.members.size : 0;
+  }
+
+  /**
+   * Add a socket to a room, creating the room on first use.
+   * @param {string} roomId  a code already passed through normalizeRoomId()
+   * @param {string} socketId
+   * @param {object} [info]  per-member data (e.g. { userType })
+   * @returns {{ ok: true, room: object } | { ok: false, reason: 'full' }}
+   */
+  join(roomId, socketId, info = {}) {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      // vocabulary: custom STT phrase hints shared by everyone in the room
+      room = { id: roomId, members: new Map(), createdAt: Date.now(), expiryTimer: null, vocabulary: [] };
+      this.rooms.set(roomId, room);
+      console.log(`[rooms] created ${roomId}`);
+      this.emit('created', room);
+    }
+
+    if (!room.members.has(socketId) && room.members.size >= this.capacity) {
+      return { ok: false, reason: 'full' };
+    }
+
+    // Someone (re)joined — cancel any pending expiry.
+    clearTimeout(room.expiryTimer);
+    room.expiryTimer = null;
+    room.members.set(socketId, { ...info, joinedAt: Date.now() });
+    return { ok: true, room };
+  }
+
+  /**
+   * Remove a socket from a room. Empty rooms are scheduled for expiry rather
+   * than deleted immediately so a reconnecting peer lands back in the same room.
+   * @param {string} roomId
+   * @param {string} socketId
+   */
+  leave(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    room.members.delete(socketId);
+
+    if (room.members.size === 0) {
+      clearTimeout(room.expiryTimer);
+      room.expiryTimer = setTimeout(() => this.expire(roomId), this.emptyTtl);
+      // Don't keep the process alive just to expire a room.
+      if (room.expiryTimer.unref) room.expiryTimer.unref();
+    }
+  }
+
+  /**
+   * Forget a room immediately and notify listeners so they can drop any
+   * per-room state.
+   * @param {string} roomId
+   */
+  expire(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    clearTimeout(room.expiryTimer);
+    this.rooms.delete(roomId);
+    console.log(`[rooms] expired ${roomId}`);
+    this.emit('expired', room);
+  }
+}
+
+module.exports = { RoomManager, normalizeRoomId, ROOM_ID_PATTERN };
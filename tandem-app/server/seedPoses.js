@@ -0,0 +1,100 @@
+// server/seedPoses.js
+// Fill the pose library (POSE_LIBRARY_DIR, default ./pose-library) with poses
+// for common conversational phrases and every label the ASL recognizer can
+// emit, so the avatar keeps working for them when the pose service is down.
+//
+//   npm run seed:poses               # skip phrases already in the library
+//   npm run seed:poses -- --force    # re-fetch everything
+//   npm run seed:poses -- --from DIR # offline: import DIR/<phrase>.pose files
+//
+// `--from` needs no network: copy a pose-library/<spoken>-<signed>/ folder
+// (or any .pose files named after their phrase, e.g. thank-you.pose) from a
+// machine that could seed, and import it here.
+const fs = require('fs');
+const path = require('path');
+const poseProxy = require('./poseProxy');
+const { parsePose } = require('./poseFormat');
+const { getAslVocabulary } = require('./vocabulary');
+
+const COMMON_PHRASES = [
+  'hello', 'hi', 'bye', 'goodbye', 'thank you', 'please', 'sorry', 'yes', 'no',
+  'how are you', 'i am fine', 'nice to meet you', 'what is your name',
+  'can you hear me', 'can you see me', 'i understand', 'i do not understand',
+  'please repeat', 'slow down', 'wait', 'one moment', 'help',
+];
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.spoken]
+ * @param {string} [options.signed]
+ * @param {boolean} [options.force] - re-fetch phrases already in the library
+ * @returns {Promise<{ seeded: number, skipped: number, failed: string[] }>}
+ */
+async function seedPoses({ spoken = 'en', signed = 'ase', force = false } = {}) {
+  const { cache, fetchUpstream } = poseProxy;
+  const phrases = [...new Set([...COMMON_PHRASES, ...getAslVocabulary()].map((p) => p.toLowerCase()))];
+  const result = { seeded: 0, skipped: 0, failed: [] };
+
+  for (const phrase of phrases) {
+    const file = cache.libraryPath(phrase, spoken, signed);
+    if (!file || (!force && fs.existsSync(file))) {
+      result.skipped++;
+      continue;
+    }
+    try {
+      const fetched = await fetchUpstream(phrase, spoken, signed);
+      if (!fetched.ok) throw new Error(`HTTP ${fetched.status}`);
+      await cache.addToLibrary(phrase, spoken, signed, fetched.pose);
+      result.seeded++;
+    } catch (err) {
+      console.warn(`[poses] "${phrase}" failed:`, err.message);
+      result.failed.push(phrase);
+    }
+  }
+  return result;
+}
+
+/**
+ * Import `.pose` files from a local directory into the library, without
+ * contacting the pose service. The file name is the phrase, with dashes for
+ * spaces. Files that don't parse as poses are rejected.
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {string} [options.spoken]
+ * @param {string} [options.signed]
+ * @param {PoseCache} [options.cache] - defaults to the pose router's cache
+ * @returns {Promise<{ seeded: number, skipped: number, failed: string[] }>}
+ */
+async function importPoses(dir, { spoken = 'en', signed = 'ase', cache = poseProxy.cache } = {}) {
+  const result = { seeded: 0, skipped: 0, failed: [] };
+  for (const name of await fs.promises.readdir(dir)) {
+    if (path.extname(name) !== '.pose') {
+      result.skipped++;
+      continue;
+    }
+    const phrase = path.basename(name, '.pose').replace(/-/g, ' ');
+    try {
+      const pose = await fs.promises.readFile(path.join(dir, name));
+      parsePose(pose);
+      await cache.addToLibrary(phrase, spoken, signed, pose);
+      result.seeded++;
+    } catch (err) {
+      console.warn(`[poses] ${name} rejected:`, err.message);
+      result.failed.push(name);
+    }
+  }
+  return result;
+}
+
+if (require.main === module) {
+  const fromIndex = process.argv.indexOf('--from');
+  const run = fromIndex !== -1
+    ? importPoses(process.argv[fromIndex + 1])
+    : seedPoses({ force: process.argv.includes('--force') });
+  run.then(({ seeded, skipped, failed }) => {
+    console.log(`[poses] seeded ${seeded}, skipped ${skipped}, failed ${failed.length}`);
+    process.exitCode = failed.length ? 1 : 0;
+  });
+}
+
+module.exports = { seedPoses, importPoses, COMMON_PHRASES };
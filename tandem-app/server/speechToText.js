@@ -1,78 +1,118 @@
 // speech-to-text.js
-const speech = require('@google-cloud/speech');
-const { Writable } = require('stream');
+// Per-socket streaming recognition. The recognition engine itself is a
+// pluggable provider (see server/stt/), chosen with the STT_PROVIDER env var.
+// Besides emitting `transcript` to the speaker's socket, the service emits
+// 'final' (socketId, { transcript, confidence, words }) for every final
+// result so the server can keep the room's conversation log. `words` carries
+// each word's start/end (seconds from the stream start) and confidence, for
+// word-level caption highlighting and avatar phrasing on the pages.
+//
+// Pages only send audio while their voice activity detector hears speech
+// (public/audioCaptureWorklet.js), framed by `speechStart` / `speechEnd`. A
+// socket's session (socket, language, phrase hints, sample rate) lives for the
+// whole connection, but a recognition stream is only open from speech start
+// to speech end, so silence is never streamed to the provider.
+//
+// Streams are replaced without losing words. The audio sent since the last
+// final result is kept, and a replacement stream (on the provider's duration
+// limit, or after an error) is opened while the old one is still attached and
+// fed that audio before the old one is dropped. Errors are retried with
+// exponential backoff, and the service emits 'status' (socketId, { state:
+// 'reconnecting', retryIn } | { state: 'live' }) so pages can say so.
+const EventEmitter = require('events');
+const { createProvider, DEFAULT_SAMPLE_RATE, toPcmBuffer } = require('./stt');
 
-class SpeechToTextService {
-  constructor() {
-    this.client = new speech.SpeechClient();
+class SpeechToTextService extends EventEmitter {
+  /**
+   * @param {object} [provider] - STT provider; defaults to STT_PROVIDER (google)
+   */
+  constructor(provider = createProvider(process.env.STT_PROVIDER || 'google')) {
+    super();
+    this.provider = provider;
     this.recognizeStreams = new Map();
-    this.STREAM_TIMEOUT = 4.5 * 60 * 1000; // 4.5 minutes (before the 5-minute limit)
+    // Providers with a server-side stream limit (Google: 5 minutes) are
+    // restarted just before it; local engines can run indefinitely.
+    this.STREAM_TIMEOUT = provider.maxStreamDuration;
+    // Error recovery waits RECOVERY_DELAY, doubling per consecutive failure.
+    this.RECOVERY_DELAY = 1000;
+    this.MAX_RECOVERY_DELAY = 30000;
+    // Unfinalized audio kept for replay into a replacement stream.
+    this.MAX_REPLAY_MS = 30000;
+    // LANGUAGE_CODE in .env sets the recognition language for new sockets.
+    this.defaultLanguageCode = process.env.LANGUAGE_CODE || 'en-US';
+    console.log(`[stt] using ${provider.name} speech-to-text provider`);
+  }
+
+  /**
+   * A socket's recognition session, created (without a stream) if needed.
+   * @param {string} socketId
+   * @returns {object} stream info
+   */
+  getSession(socketId) {
+    let streamInfo = this.recognizeStreams.get(socketId);
+    if (!streamInfo) {
+      streamInfo = {
+        stream: null,
+        socket: null,
+        restartTimer: null,
+        languageCode: this.defaultLanguageCode,
+        phrases: [],
+        // LINEAR16 rate the client captures at, as agreed in `join`.
+        sampleRateHertz: DEFAULT_SAMPLE_RATE,
+        // Between the client's speechStart and speechEnd.
+        speaking: false,
+        // Audio since the current stream's last final result.
+        replay: [],
+        replayBytes: 0,
+        // Consecutive stream errors, for backoff; reset by any result.
+        failures: 0,
+        recovering: false,
+        lastRestart: null
+      };
+      this.recognizeStreams.set(socketId, streamInfo);
+    }
+    return streamInfo;
   }
 
   /**
-   * Create a streaming recognizer for a socket connection
+   * Open a streaming recognizer for a socket, replacing any open one, and
+   * replay into it the session's unfinalized audio (see rotate()). The
+   * session keeps its bound socket, language and phrase hints.
+   * @param {string} socketId
+   * @param {string} [languageCode] - overrides the socket's current language
    */
-  createRecognizeStream(socketId, languageCode = 'en-US') {
+  createRecognizeStream(socketId, languageCode) {
     console.log(`Creating recognize stream for socket ${socketId}`);
-    
-    // Clean up any existing stream for this socket
-    this.cleanup(socketId);
-    
-    // Create a new stream info object
-    const streamInfo = {
-      stream: null,
-      socket: null,
-      restartTimer: null,
-      languageCode: languageCode,
-      lastRestart: Date.now()
-    };
-    
-    this.recognizeStreams.set(socketId, streamInfo);
-    
-    // Setup restart timer
-    const setupRestartTimer = () => {
-      if (streamInfo.restartTimer) {
-        clearTimeout(streamInfo.restartTimer);
-      }
-      
-      streamInfo.restartTimer = setTimeout(() => {
-        console.log(`Restarting speech recognition for socket ${socketId} to prevent timeout`);
-        this.createRecognizeStream(socketId, languageCode);
-      }, this.STREAM_TIMEOUT);
-    };
-    
-    const request = {
-      config: {
-        encoding: 'LINEAR16',
-        sampleRateHertz: 48000,
-        languageCode: languageCode,
-        model: 'latest_long',
-        useEnhanced: true,
-        enableAutomaticPunctuation: true,
-        enableWordTimeOffsets: true,
-        metadata: {
-          interactionType: 'DISCUSSION',
-          microphoneDistance: 'NEARFIELD',
-          recordingDeviceType: 'SMARTPHONE',
-          originalMediaType: 'AUDIO',
-        },
-        speechContexts: [{
-          phrases: [
-            'WebRTC', 'video', 'chat', 'microphone', 'camera', 'speaker', 'connection',
-            'Hello', 'Hi', 'Hey', 'How are you', 'Can you hear me', 'Thanks', 'Bye'
-          ],
-          boost: 20.0
-        }]
-      },
-      interimResults: true, // Get interim results
-      singleUtterance: false
-    };
-
-    const recognizeStream = this.client
-      .streamingRecognize(request);
-      
+
+    const streamInfo = this.getSession(socketId);
+    this.closeStream(streamInfo, { graceful: false });
+    if (languageCode) streamInfo.languageCode = languageCode;
+    streamInfo.lastRestart = Date.now();
+
+    let recognizeStream;
+    // Streams retired by reconfigure() or speechEnd keep delivering their
+    // last results but must no longer drive restarts or recovery.
+    const isCurrent = () => this.recognizeStreams.get(socketId)?.stream === recognizeStream;
+
+    recognizeStream = this.provider.createStream({
+      languageCode: streamInfo.languageCode,
+      sampleRateHertz: streamInfo.sampleRateHertz,
+      phrases: streamInfo.phrases,
+    });
+
     // Store the stream in our stream info
     streamInfo.stream = recognizeStream;
+
+    // The provider's limit counts from when the stream opened, so rotate
+    // just before it however often results arrive.
+    clearTimeout(streamInfo.restartTimer);
+    if (this.STREAM_TIMEOUT) {
+      streamInfo.restartTimer = setTimeout(() => {
+        if (!isCurrent()) return;
+        console.log(`Rotating speech recognition stream for socket ${socketId} before the provider's time limit`);
+        this.rotate(socketId);
+      }, this.STREAM_TIMEOUT);
+    }
     
     // Set up event handlers
     recognizeStream
@@ -83,51 +123,37 @@ class SpeechToTextService {
           details: err.details,
           socketId: socketId
         });
-        
-        // Try to recover by creating a new stream
-        try {
-          console.log('Attempting to recover speech recognition stream...');
-          this.createRecognizeStream(socketId, languageCode);
-        } catch (recoveryError) {
-          console.error('Failed to recover speech recognition stream:', recoveryError);
-          this.cleanup(socketId);
-        }
+        if (!isCurrent()) return;
+        this.scheduleRecovery(socketId, recognizeStream);
       })
-      .on('data', (data) => {
-        // Reset the restart timer on each data event
-        setupRestartTimer();
+      .on('result', ({ transcript, isFinal, stability, confidence, words = [] }) => {
+        if (isCurrent()) {
+          streamInfo.failures = 0;
+          // Finalized audio never needs replaying.
+          if (isFinal) this.clearReplay(streamInfo);
+        }
         try {
-          const result = data.results[0];
-          
-          // Only process if we have a valid result with alternatives
-          if (!result || !result.alternatives || result.alternatives.length === 0) {
-            return;
-          }
-          
-          const isFinal = result.isFinal;
-          const transcript = result.alternatives[0].transcript || '';
-          const stability = result.stability;
-          
           // Log the transcript
-          console.log(`[${isFinal ? 'FINAL' : 'INTERIM'}] ${transcript}`, { 
+          console.log(`[${isFinal ? 'FINAL' : 'INTERIM'}] ${transcript}`, {
             stability,
-            confidence: result.alternatives[0].confidence
+            confidence
           });
-          
+
           // Get the socket and emit the transcript
           const socket = this.recognizeStreams.get(socketId)?.socket;
           if (socket) {
-            socket.emit('transcript', { 
-              transcript, 
+            socket.emit('transcript', {
+              transcript,
               isFinal,
               stability,
-              confidence: result.alternatives[0].confidence
+              confidence,
+              words
             });
           }
-          
-          // If this is a final result, we can optionally do something with it
+
           if (isFinal) {
             console.log('Final transcript:', transcript);
+            this.emit('final', socketId, { transcript, confidence, words });
           }
         } catch (error) {
           console.error('Error processing speech recognition result:', error);
@@ -135,78 +161,260 @@ class SpeechToTextService {
       })
       .on('end', () => {
         console.log(`Speech recognition stream ended for socket ${socketId}`);
-        // Optionally create a new stream if needed
-        // this.createRecognizeStream(socketId, languageCode);
+        // The provider closed it on its own; the next audio opens another
+        // (a failed stream is left to its recovery timer).
+        if (isCurrent() && !streamInfo.recovering) this.closeStream(streamInfo, { graceful: false });
       });
 
-    this.recognizeStreams.set(socketId, {
-      stream: recognizeStream,
-      socket: null, // Will be set when binding to socket
-    });
+    // Nothing said since the last final result is lost with the old stream.
+    for (const chunk of streamInfo.replay) recognizeStream.write(chunk);
+    this.markLive(socketId, streamInfo);
 
     return recognizeStream;
   }
 
   /**
-   * Bind a socket to a recognize stream
+   * Replace a failed stream after a delay that doubles with each consecutive
+   * failure, so a persistently failing provider (e.g. a local engine that
+   * cannot start) isn't hammered. Audio arriving meanwhile is kept and
+   * replayed into the new stream.
+   * @param {string} socketId
+   * @param {object} failed - the stream that errored
    */
-  bindSocketToStream(socketId, socket) {
+  scheduleRecovery(socketId, failed) {
     const streamInfo = this.recognizeStreams.get(socketId);
-    if (streamInfo) {
-      streamInfo.socket = socket;
-      
-      // Clean up on socket disconnect
-      socket.on('disconnect', () => {
-        console.log(`Client ${socketId} disconnected, cleaning up speech recognition`);
-        this.cleanup(socketId);
-      });
-    } else {
-      // If no stream exists yet, create one
+    if (!streamInfo || streamInfo.stream !== failed) return;
+    const retryIn = Math.min(this.MAX_RECOVERY_DELAY, this.RECOVERY_DELAY * 2 ** streamInfo.failures);
+    streamInfo.failures++;
+    streamInfo.recovering = true;
+    this.emit('status', socketId, { state: 'reconnecting', retryIn });
+
+    clearTimeout(streamInfo.restartTimer);
+    streamInfo.restartTimer = setTimeout(() => {
+      // The socket may have disconnected (and been cleaned up) meanwhile.
+      if (this.recognizeStreams.get(socketId) !== streamInfo || streamInfo.stream !== failed) return;
+      // Between utterances there is nothing to recover; the next
+      // speechStart opens a fresh stream.
+      if (!streamInfo.speaking) {
+        this.closeStream(streamInfo, { graceful: false });
+        this.markLive(socketId, streamInfo);
+        return;
+      }
+      try {
+        console.log(`Attempting to recover speech recognition stream (attempt ${streamInfo.failures})...`);
+        this.rotate(socketId);
+      } catch (recoveryError) {
+        console.error('Failed to recover speech recognition stream:', recoveryError);
+        this.scheduleRecovery(socketId, failed);
+      }
+    }, retryIn);
+  }
+
+  /**
+   * Replace a socket's stream without dropping words: the new stream is
+   * opened while the old one is still attached and is fed the audio sent
+   * since the last final result; only then is the old stream destroyed. Its
+   * unfinished hypothesis is re-recognized by the new stream rather than
+   * finalized by both.
+   * @param {string} socketId
+   */
+  rotate(socketId) {
+    const streamInfo = this.recognizeStreams.get(socketId);
+    if (!streamInfo) return;
+    const old = streamInfo.stream;
+    streamInfo.stream = null; // keep createRecognizeStream() from closing it
+    try {
       this.createRecognizeStream(socketId);
-      this.recognizeStreams.get(socketId).socket = socket;
-      this.recognizeStreams.get(socketId).socket.on('disconnect', () => {
-        console.log(`Client ${socketId} disconnected, cleaning up speech recognition`);
-        this.cleanup(socketId);
-      });
+    } catch (err) {
+      streamInfo.stream = old;
+      throw err;
+    }
+    if (old && !old.destroyed) {
+      try {
+        old.destroy();
+      } catch (err) {
+        console.error('Error destroying rotated stream:', err);
+      }
     }
   }
 
   /**
-   * Process audio data
+   * Change a socket's recognition language, phrase hints and/or audio sample
+   * rate mid-call.
+   * Recognizer config is fixed per stream, so a replacement stream is opened
+   * first and the old one is ended (not destroyed): results for audio it has
+   * already received still arrive, and new audio goes to the new stream.
+   * @param {string} socketId
+   * @param {object} changes
+   * @param {string} [changes.languageCode]
+   * @param {string[]} [changes.phrases] - extra recognition hints
+   * @param {number} [changes.sampleRateHertz] - rate the client now captures at
    */
-  processAudio(socketId, data) {
+  reconfigure(socketId, { languageCode, phrases, sampleRateHertz } = {}) {
     const streamInfo = this.recognizeStreams.get(socketId);
-    if (!streamInfo || !streamInfo.stream || !streamInfo.stream.writable) {
-      console.error(`No valid stream found for socket ${socketId}`);
-      return;
+    if (!streamInfo) return;
+    if (languageCode) streamInfo.languageCode = languageCode;
+    if (phrases) streamInfo.phrases = phrases;
+    if (sampleRateHertz) streamInfo.sampleRateHertz = sampleRateHertz;
+
+    // Between utterances the next stream simply opens with the new settings.
+    const old = streamInfo.stream;
+    if (old) {
+      streamInfo.stream = null; // keep createRecognizeStream() from destroying it
+      // The old stream finalizes its own audio; audio in another format
+      // mustn't be replayed anyway.
+      this.clearReplay(streamInfo);
+      this.createRecognizeStream(socketId);
+      this.endStream(old);
     }
+    console.log(`Reconfigured speech recognition for socket ${socketId}`, {
+      languageCode: streamInfo.languageCode,
+      phrases: streamInfo.phrases.length,
+      sampleRateHertz: streamInfo.sampleRateHertz
+    });
+  }
 
+  /**
+   * The LINEAR16 sample rate a socket's recognizer expects.
+   * @param {string} socketId
+   * @returns {number}
+   */
+  getSampleRate(socketId) {
+    const streamInfo = this.recognizeStreams.get(socketId);
+    return streamInfo ? streamInfo.sampleRateHertz : DEFAULT_SAMPLE_RATE;
+  }
+
+  /**
+   * Bind a socket to its recognition session. No stream is opened until the
+   * client reports speech.
+   */
+  bindSocketToStream(socketId, socket) {
+    this.getSession(socketId).socket = socket;
+
+    // Clean up on socket disconnect
+    socket.on('disconnect', () => {
+      console.log(`Client ${socketId} disconnected, cleaning up speech recognition`);
+      this.cleanup(socketId);
+    });
+  }
+
+  /**
+   * The client's voice activity detector heard speech: open a recognition
+   * stream unless one is already open.
+   * @param {string} socketId
+   */
+  startSpeech(socketId) {
+    const streamInfo = this.recognizeStreams.get(socketId);
+    if (!streamInfo) return;
+    streamInfo.speaking = true;
+    // An open stream carries on; a failed one is reopened by its recovery
+    // timer (now that the user is speaking) rather than on every chunk.
+    if (streamInfo.stream) return;
+    this.createRecognizeStream(socketId);
+  }
+
+  /**
+   * The speech ended: end the stream so the provider finalizes what it has
+   * heard (those results still arrive), and open nothing until the next
+   * speechStart.
+   * @param {string} socketId
+   */
+  endSpeech(socketId) {
+    const streamInfo = this.recognizeStreams.get(socketId);
+    if (!streamInfo) return;
+    streamInfo.speaking = false;
+    this.closeStream(streamInfo, { graceful: true });
+    // Nothing left to recover until the next utterance.
+    this.markLive(socketId, streamInfo);
+  }
+
+  /** Leave the recovering state, telling the page captions are back. */
+  markLive(socketId, streamInfo) {
+    if (!streamInfo.recovering) return;
+    streamInfo.recovering = false;
+    this.emit('status', socketId, { state: 'live' });
+  }
+
+  /** End a retired stream, letting results for audio it already has arrive. */
+  endStream(stream) {
+    if (!stream || stream.destroyed) return;
     try {
-      // If we received a buffer array, convert it back to a Buffer
-      let audioBuffer;
-      if (Array.isArray(data.buffer)) {
-        audioBuffer = Buffer.from(Int16Array.from(data.buffer).buffer);
-      } else if (data.buffer && data.buffer.type === 'Buffer') {
-        audioBuffer = Buffer.from(data.buffer.data);
-      } else if (Buffer.isBuffer(data.buffer)) {
-        audioBuffer = data.buffer;
-      } else if (data.buffer) {
-        audioBuffer = Buffer.from(data.buffer);
-      } else {
-        console.error('Invalid audio data format:', data);
-        return;
-      }
+      stream.end();
+    } catch (err) {
+      console.error('Error ending retired stream:', err);
+    }
+  }
 
-      // Write the audio data to the recognition stream
-      if (audioBuffer && audioBuffer.length > 0) {
-        streamInfo.stream.write(audioBuffer);
+  /**
+   * Detach a session's open stream, if any: ended when `graceful`, otherwise
+   * destroyed along with any results still pending.
+   * @param {object} streamInfo
+   * @param {{ graceful: boolean }} options
+   */
+  closeStream(streamInfo, { graceful }) {
+    clearTimeout(streamInfo.restartTimer);
+    streamInfo.restartTimer = null;
+    const stream = streamInfo.stream;
+    streamInfo.stream = null;
+    if (!stream) return;
+    // Its audio is either finalized by the stream itself or abandoned.
+    this.clearReplay(streamInfo);
+    if (graceful) {
+      this.endStream(stream);
+    } else if (!stream.destroyed) {
+      try {
+        stream.destroy();
+      } catch (err) {
+        console.error('Error destroying stream:', err);
       }
+    }
+  }
 
-      // If this is the final chunk, end the stream
-      if (data.isFinal) {
-        console.log('Received final audio chunk, ending stream');
-        streamInfo.stream.end();
-      }
+  /** Keep a chunk for replay, dropping the oldest beyond MAX_REPLAY_MS. */
+  bufferForReplay(streamInfo, chunk) {
+    streamInfo.replay.push(chunk);
+    streamInfo.replayBytes += chunk.length;
+    const maxBytes = (streamInfo.sampleRateHertz * 2 * this.MAX_REPLAY_MS) / 1000;
+    while (streamInfo.replayBytes > maxBytes && streamInfo.replay.length > 1) {
+      streamInfo.replayBytes -= streamInfo.replay.shift().length;
+    }
+  }
+
+  clearReplay(streamInfo) {
+    streamInfo.replay = [];
+    streamInfo.replayBytes = 0;
+  }
+
+  /**
+   * Feed one chunk of LINEAR16 PCM, at the socket's negotiated sample rate,
+   * to its recognition stream.
+   * @param {string} socketId
+   * @param {Buffer|ArrayBuffer|ArrayBufferView} chunk - binary `audioData` payload
+   */
+  processAudio(socketId, chunk) {
+    const streamInfo = this.recognizeStreams.get(socketId);
+    if (!streamInfo) {
+      console.error(`No recognition session for socket ${socketId}`);
+      return;
+    }
+    const audioBuffer = toPcmBuffer(chunk);
+    if (!audioBuffer) {
+      console.error(`Invalid audio data from socket ${socketId}: expected binary 16-bit PCM`);
+      return;
+    }
+
+    // Audio without a speechStart (e.g. after a reconnect) still counts as speech.
+    if (!streamInfo.stream) this.startSpeech(socketId);
+    if (!streamInfo.stream) {
+      console.error(`No valid stream found for socket ${socketId}`);
+      return;
+    }
+
+    this.bufferForReplay(streamInfo, audioBuffer);
+    // A failed stream awaiting recovery gets this audio by replay.
+    if (streamInfo.recovering || !streamInfo.stream.writable) return;
+    try {
+      streamInfo.stream.write(audioBuffer);
     } catch (error) {
       console.error('Error processing audio data:', error);
     }
@@ -218,20 +426,8 @@ class SpeechToTextService {
   cleanup(socketId) {
     const streamInfo = this.recognizeStreams.get(socketId);
     if (streamInfo) {
-      // Clear any pending restart timer
-      if (streamInfo.restartTimer) {
-        clearTimeout(streamInfo.restartTimer);
-      }
-      
-      // Destroy the stream if it exists
-      if (streamInfo.stream && !streamInfo.stream.destroyed) {
-        try {
-          streamInfo.stream.destroy();
-        } catch (err) {
-          console.error('Error destroying stream:', err);
-        }
-      }
-      
+      this.closeStream(streamInfo, { graceful: false });
+
       // Remove from the map
       this.recognizeStreams.delete(socketId);
       console.log(`Cleaned up speech recognition for socket ${socketId}`);
@@ -240,3 +436,5 @@ class SpeechToTextService {
 }
 
 module.exports = new SpeechToTextService();
+// Exposed for tests and for callers that need a service with another provider.
+module.exports.SpeechToTextService = SpeechToTextService;
@@ -0,0 +1,98 @@
+// server/spelling.js
+// Correct fingerspelled words before they are relayed and spoken. The static
+// classifier regularly drops a doubled letter (HELO) or confuses similar hand
+// shapes (M/N, U/V), so a spelled word that isn't in the dictionary is
+// replaced with the closest dictionary word within a small edit distance.
+// Room vocabulary (names, jargon) is checked first so it wins over common words.
+const fs = require('fs');
+const path = require('path');
+const { getAslVocabulary } = require('./vocabulary');
+
+const WORDS_PATH = path.join(__dirname, 'data', 'common-words.txt');
+
+let commonWords = null;
+
+/**
+ * Bundled common words, most frequent first, plus every multi-letter
+ * recognizer label.
+ * @returns {string[]}
+ */
+function getCommonWords() {
+  if (commonWords) return commonWords;
+  let words = [];
+  try {
+    words = fs.readFileSync(WORDS_PATH, 'utf8')
+      .split('\n')
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith('#'));
+  } catch (err) {
+    console.warn('[spelling] could not read word list:', err.message);
+  }
+  const labels = getAslVocabulary().filter((label) => label.length > 1).map((label) => label.toLowerCase());
+  commonWords = [...new Set([...words, ...labels])];
+  return commonWords;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transposition),
+ * giving up early once it exceeds `max`.
+ * @returns {number} the distance, or max + 1 if larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Turn fingerspelled letters into the most likely intended word.
+ * @param {string} letters - e.g. "HELO"
+ * @param {string[]} [vocabulary] - room phrases to prefer (single words are used)
+ * @returns {{ word: string, corrected: boolean }} lowercase word; unknown words
+ *   with no close match are kept as spelled (they are usually names)
+ */
+function correctSpelling(letters, vocabulary = []) {
+  const spelled = String(letters).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (spelled.length < 2) return { word: spelled, corrected: false };
+
+  const roomWords = vocabulary
+    .map((phrase) => String(phrase).toLowerCase())
+    .filter((phrase) => /^[a-z0-9]+$/.test(phrase));
+  // Room words first, then common words in frequency order: the first word at
+  // the smallest distance wins.
+  const dictionary = [...new Set([...roomWords, ...getCommonWords()])];
+  if (dictionary.includes(spelled)) return { word: spelled, corrected: false };
+
+  // Short words tolerate one mistake, longer words two.
+  const maxDistance = spelled.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = maxDistance + 1;
+  for (const word of dictionary) {
+    const distance = editDistance(spelled, word, Math.min(maxDistance, bestDistance - 1));
+    if (distance < bestDistance) {
+      best = word;
+      bestDistance = distance;
+      if (distance === 1) break;
+    }
+  }
+  return best ? { word: best, corrected: true } : { word: spelled, corrected: false };
+}
+
+module.exports = { correctSpelling, editDistance };
@@ -0,0 +1,38 @@
+// server/stt/audioFormat.js
+// The PCM format browsers stream for recognition. Pages capture with an
+// AudioWorklet (public/audioCaptureWorklet.js) that resamples the microphone
+// to a rate they propose in `join` (`stt.sampleRateHertz`); the server accepts
+// it if it is one of SUPPORTED_SAMPLE_RATES, configures the recognizer to
+// match and confirms it with `audioFormat`. Audio is always LINEAR16 mono.
+
+// 16 kHz is what speech models are trained on; more only costs bandwidth.
+const DEFAULT_SAMPLE_RATE = 16000;
+// Rates Google's LINEAR16 recognizer accepts; local engines resample as needed.
+const SUPPORTED_SAMPLE_RATES = [8000, 11025, 16000, 22050, 24000, 32000, 44100, 48000];
+
+/**
+ * Validate a client-declared capture rate.
+ * @param {unknown} rate
+ * @returns {number|null} the rate in Hz, or null if unsupported
+ */
+function normalizeSampleRate(rate) {
+  const hz = Number(rate);
+  return SUPPORTED_SAMPLE_RATES.includes(hz) ? hz : null;
+}
+
+/**
+ * Turn one binary `audioData` payload into a Buffer of PCM bytes. Socket.IO
+ * delivers binary attachments as Buffers; ArrayBuffers and typed arrays are
+ * accepted for in-process callers.
+ * @param {unknown} chunk
+ * @returns {Buffer|null} null for anything that isn't whole 16-bit samples
+ */
+function toPcmBuffer(chunk) {
+  let buffer = null;
+  if (Buffer.isBuffer(chunk)) buffer = chunk;
+  else if (chunk instanceof ArrayBuffer) buffer = Buffer.from(chunk);
+  else if (ArrayBuffer.isView(chunk)) buffer = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  return buffer && buffer.length > 0 && buffer.length % 2 === 0 ? buffer : null;
+}
+
+module.exports = { DEFAULT_SAMPLE_RATE, SUPPORTED_SAMPLE_RATES, normalizeSampleRate, toPcmBuffer };
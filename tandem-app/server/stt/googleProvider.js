@@ -0,0 +1,120 @@
+// server/stt/googleProvider.js
+// Google Cloud Speech-to-Text adapter (streaming recognition).
+const EventEmitter = require('events');
+const { DEFAULT_SAMPLE_RATE } = require('./audioFormat');
+
+// Phrase hints boost recognition of words the generic model tends to miss.
+const DEFAULT_PHRASES = [
+  'WebRTC', 'video', 'chat', 'microphone', 'camera', 'speaker', 'connection',
+  'Hello', 'Hi', 'Hey', 'How are you', 'Can you hear me', 'Thanks', 'Bye'
+];
+
+/** A protobuf Duration ({ seconds, nanos }, seconds possibly a Long or string) in seconds. */
+function durationSeconds(duration) {
+  if (!duration) return 0;
+  return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+/**
+ * Word timings from a recognition alternative, relative to the start of the
+ * stream. Google only fills in word confidence on final results and reports 0
+ * otherwise, so 0 is treated as unknown.
+ * @param {object} alternative
+ * @returns {{ word: string, start: number, end: number, confidence?: number }[]}
+ */
+function wordTimings(alternative) {
+  return (alternative.words || []).map((w) => {
+    const word = { word: w.word, start: durationSeconds(w.startTime), end: durationSeconds(w.endTime) };
+    if (w.confidence > 0) word.confidence = w.confidence;
+    return word;
+  });
+}
+
+/** Wraps a Google streamingRecognize duplex stream as a recognition stream. */
+class GoogleRecognitionStream extends EventEmitter {
+  constructor(client, request) {
+    super();
+    this._stream = client.streamingRecognize(request)
+      .on('error', (err) => this.emit('error', err))
+      .on('data', (data) => {
+        const result = data.results && data.results[0];
+        // Only forward results that carry at least one alternative
+        if (!result || !result.alternatives || result.alternatives.length === 0) return;
+        const alternative = result.alternatives[0];
+        this.emit('result', {
+          transcript: alternative.transcript || '',
+          isFinal: result.isFinal,
+          stability: result.stability,
+          confidence: alternative.confidence,
+          words: wordTimings(alternative),
+        });
+      })
+      .on('end', () => this.emit('end'));
+  }
+
+  get writable() { return this._stream.writable; }
+  get destroyed() { return this._stream.destroyed; }
+  write(buffer) { this._stream.write(buffer); }
+  end() { this._stream.end(); }
+  destroy() { this._stream.destroy(); }
+}
+
+class GoogleSpeechProvider {
+  constructor() {
+    this.name = 'google';
+    // Google closes streaming requests after ~5 minutes; rotate before that.
+    this.maxStreamDuration = 4.5 * 60 * 1000;
+    this._client = null;
+  }
+
+  // The client is created lazily so selecting another provider never needs
+  // GCP credentials or the @google-cloud/speech package to initialise.
+  get client() {
+    if (!this._client) {
+      const speech = require('@google-cloud/speech');
+      this._client = new speech.SpeechClient();
+    }
+    return this._client;
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.languageCode]
+   * @param {number} [options.sampleRateHertz]
+   * @param {string[]} [options.phrases] - extra recognition hints, merged with DEFAULT_PHRASES
+   * @returns {GoogleRecognitionStream}
+   */
+  createStream({ languageCode = 'en-US', sampleRateHertz = DEFAULT_SAMPLE_RATE, phrases = [] } = {}) {
+    const request = {
+      config: {
+        encoding: 'LINEAR16',
+        sampleRateHertz,
+        languageCode,
+        model: 'latest_long',
+        useEnhanced: true,
+        enableAutomaticPunctuation: true,
+        enableWordTimeOffsets: true,
+        enableWordConfidence: true,
+        metadata: {
+          interactionType: 'DISCUSSION',
+          microphoneDistance: 'NEARFIELD',
+          recordingDeviceType: 'SMARTPHONE',
+          originalMediaType: 'AUDIO',
+        },
+        speechContexts: [{
+          phrases: [...new Set([...DEFAULT_PHRASES, ...phrases])],
+          boost: 20.0
+        }]
+      },
+      interimResults: true, // Get interim results
+      singleUtterance: false
+    };
+
+    return new GoogleRecognitionStream(this.client, request);
+  }
+}
+
+GoogleSpeechProvider.DEFAULT_PHRASES = DEFAULT_PHRASES;
+GoogleSpeechProvider.wordTimings = wordTimings;
+
+module.exports = GoogleSpeechProvider;
@@ -0,0 +1,82 @@
+// server/stt/index.js
+// Speech-to-text provider registry. A provider turns raw LINEAR16 PCM into
+// transcript results; SpeechToTextService (server/speechToText.js) owns the
+// per-socket stream lifecycle on top of it.
+//
+// Provider interface:
+//   name               string
+//   maxStreamDuration  ms a stream may live before it must be rotated, or null
+//   createStream({ languageCode, sampleRateHertz, phrases }) → recognition stream
+//     phrases are extra recognition hints; providers that can't use them ignore them
+//     sampleRateHertz is the rate negotiated with the client (see audioFormat.js)
+//
+// Recognition stream (an EventEmitter):
+//   write(buffer), end(), destroy(), writable, destroyed
+//   'result' → { transcript, isFinal, stability, confidence, words }
+//     words: [{ word, start, end, confidence? }], times in seconds from the
+//     start of the stream; empty when the engine gives no word timings
+//   'error'  → Error
+//   'end'
+const GoogleSpeechProvider = require('./googleProvider');
+const LocalSpeechProvider = require('./localProvider');
+const { DEFAULT_SAMPLE_RATE, normalizeSampleRate, toPcmBuffer } = require('./audioFormat');
+
+const PROVIDERS = {
+  google: GoogleSpeechProvider,
+  local: LocalSpeechProvider,
+};
+
+/**
+ * Instantiate an STT provider by name.
+ * @param {string} [name] - 'google' (default) or 'local'; usually process.env.STT_PROVIDER
+ * @returns {object} provider implementing the interface above
+ */
+function createProvider(name = 'google') {
+  const Provider = PROVIDERS[String(name).toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown STT_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider();
+}
+
+// Google accepts up to 5000 hints of 100 characters; stay far below that so a
+// pasted document can't bloat every stream request.
+const MAX_PHRASES = 200;
+const MAX_PHRASE_LENGTH = 100;
+
+/**
+ * Validate a BCP-47 recognition language such as "en-US" or "cmn-Hans-CN".
+ * @param {unknown} code
+ * @returns {string|null}
+ */
+function normalizeLanguageCode(code) {
+  if (typeof code !== 'string') return null;
+  const trimmed = code.trim();
+  return /^[a-z]{2,3}(-[A-Za-z]{2,4}){1,2}$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Clean a client-supplied custom vocabulary (names, domain terms) for use as
+ * phrase hints: trimmed, de-duplicated, length-limited.
+ * @param {unknown} phrases
+ * @returns {string[]}
+ */
+function normalizePhrases(phrases) {
+  if (!Array.isArray(phrases)) return [];
+  const cleaned = phrases
+    .filter((p) => typeof p === 'string')
+    .map((p) => p.trim().replace(/\s+/g, ' '))
+    .filter((p) => p && p.length <= MAX_PHRASE_LENGTH);
+  return [...new Set(cleaned)].slice(0, MAX_PHRASES);
+}
+
+module.exports = {
+  createProvider,
+  normalizeLanguageCode,
+  normalizePhrases,
+  normalizeSampleRate,
+  toPcmBuffer,
+  DEFAULT_SAMPLE_RATE,
+  GoogleSpeechProvider,
+  LocalSpeechProvider,
+};
@@ -0,0 +1,310 @@
+// server/stt/localProvider.js
+// On-premises STT adapter: runs a local recognition engine as a child process.
+//
+// The engine reads raw LINEAR16 mono PCM on stdin and writes one JSON object
+// per line on stdout. Vosk's native output is understood directly:
+//   {"partial": "hel"}            → interim result
+//   {"text": "hello", "result": [{"word", "start", "end", "conf"}]}
+//                                  → final result, with word timings
+// as is a generic form for other wrappers (e.g. around whisper.cpp):
+//   {"transcript": "hello", "isFinal": true, "confidence": 0.9,
+//    "words": [{"word", "start", "end", "confidence"}]}
+//
+// The engine is started with `--sample-rate <hz> --language <code>` appended
+// to its arguments. server/vosk_stt.py is the bundled default.
+//
+// By default each utterance gets its own engine process, fed until stdin
+// closes. Engines that load a large model (Vosk does) can instead run
+// persistently (`--persistent`, on by default for the bundled engine,
+// LOCAL_STT_PERSISTENT=1 for others): one process per language and sample
+// rate is kept alive and reused, and utterances are framed on stdin as a
+// 4-byte little-endian length followed by that much PCM, a zero-length frame
+// ending the utterance. The engine then prints its final result followed by
+//   {"end": true}
+// and starts afresh, word times counting from the new utterance.
+const EventEmitter = require('events');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { DEFAULT_SAMPLE_RATE } = require('./audioFormat');
+
+const APP_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_COMMAND = 'python server/vosk_stt.py';
+// Idle persistent engines kept per language and sample rate; more are started
+// while several people speak at once and stopped once they are done.
+const MAX_IDLE_ENGINES = 2;
+const END_OF_UTTERANCE = Buffer.alloc(4);
+
+/**
+ * Normalise engine word timings to { word, start, end, confidence? } in
+ * seconds, dropping entries without a usable word or times.
+ * @param {object[]} words
+ * @param {string} confidenceKey - 'conf' (Vosk) or 'confidence'
+ */
+function normaliseWords(words, confidenceKey) {
+  if (!Array.isArray(words)) return [];
+  return words
+    .filter((w) => w && typeof w.word === 'string' && Number.isFinite(w.start) && Number.isFinite(w.end))
+    .map((w) => {
+      const word = { word: w.word, start: w.start, end: w.end };
+      if (Number.isFinite(w[confidenceKey])) word.confidence = w[confidenceKey];
+      return word;
+    });
+}
+
+/**
+ * Turn one line of engine output into a result, or null if it carries nothing.
+ * @param {string} line
+ * @returns {{ transcript: string, isFinal: boolean, confidence?: number, words: object[] }|null}
+ */
+function parseEngineLine(line) {
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch {
+    return null;
+  }
+  if (!msg || typeof msg !== 'object') return null;
+
+  if (typeof msg.transcript === 'string') {
+    return {
+      transcript: msg.transcript,
+      isFinal: !!msg.isFinal,
+      confidence: msg.confidence,
+      words: normaliseWords(msg.words, 'confidence'),
+    };
+  }
+  if (typeof msg.partial === 'string') {
+    return msg.partial ? { transcript: msg.partial, isFinal: false, words: [] } : null;
+  }
+  if (typeof msg.text === 'string') {
+    if (!msg.text) return null;
+    // Vosk reports per-word timings and confidence when SetWords(True) is on.
+    const result = Array.isArray(msg.result) ? msg.result : [];
+    const confidence = result.length
+      ? result.reduce((sum, w) => sum + (w.conf || 0), 0) / result.length
+      : undefined;
+    return { transcript: msg.text, isFinal: true, confidence, words: normaliseWords(result, 'conf') };
+  }
+  return null;
+}
+
+/** True for the line a persistent engine prints after an utterance's final result. */
+function isEndLine(line) {
+  try {
+    const msg = JSON.parse(line);
+    return !!msg && msg.end === true;
+  } catch {
+    return false;
+  }
+}
+
+function engineArgs(args, { languageCode, sampleRateHertz }) {
+  return [...args, '--sample-rate', String(sampleRateHertz), '--language', languageCode];
+}
+
+class LocalRecognitionStream extends EventEmitter {
+  constructor(command, args, { languageCode, sampleRateHertz }) {
+    super();
+    this._destroyed = false;
+    this._proc = spawn(command, engineArgs(args, { languageCode, sampleRateHertz }),
+      { cwd: APP_ROOT, stdio: ['pipe', 'pipe', 'inherit'] });
+
+    this._proc.on('error', (err) => this.emit('error', err));
+    // Writing after the engine died raises EPIPE here rather than throwing.
+    this._proc.stdin.on('error', (err) => {
+      if (!this._destroyed) this.emit('error', err);
+    });
+    // 'close' (not 'exit') so every stdout line has been read before 'end'.
+    this._proc.on('close', (code, signal) => {
+      if (this._destroyed) return;
+      if (code) {
+        this.emit('error', new Error(`Local STT engine exited with code ${code}`));
+      } else {
+        this.emit('end', signal);
+      }
+    });
+
+    readline.createInterface({ input: this._proc.stdout }).on('line', (line) => {
+      const result = parseEngineLine(line);
+      if (result) this.emit('result', result);
+    });
+  }
+
+  get writable() { return !this._destroyed && this._proc.stdin.writable; }
+  get destroyed() { return this._destroyed; }
+  write(buffer) { this._proc.stdin.write(buffer); }
+  end() { this._proc.stdin.end(); }
+
+  destroy() {
+    if (this._destroyed) return;
+    this._destroyed = true;
+    this._proc.stdin.destroy();
+    this._proc.kill();
+  }
+}
+
+/**
+ * A long-lived engine process in persistent mode, serving one utterance
+ * (its `owner` stream) at a time. Emits 'idle' once an utterance is done and
+ * 'exit' if the process goes away.
+ */
+class PersistentEngine extends EventEmitter {
+  constructor(command, args, { languageCode, sampleRateHertz }) {
+    super();
+    this.owner = null;
+    this.alive = true;
+    this._proc = spawn(command, [...engineArgs(args, { languageCode, sampleRateHertz }), '--persistent'],
+      { cwd: APP_ROOT, stdio: ['pipe', 'pipe', 'inherit'] });
+
+    const fail = (err) => {
+      if (!this.alive) return;
+      this.alive = false;
+      this._proc.kill();
+      const owner = this.owner;
+      this.owner = null;
+      this.emit('exit');
+      if (owner) owner._fail(err);
+    };
+    this._proc.on('error', fail);
+    this._proc.stdin.on('error', fail);
+    this._proc.on('close', (code) => fail(new Error(`Local STT engine exited with code ${code}`)));
+
+    readline.createInterface({ input: this._proc.stdout }).on('line', (line) => {
+      const owner = this.owner;
+      if (isEndLine(line)) {
+        this.owner = null;
+        if (owner) owner._finish();
+        if (this.alive) this.emit('idle');
+        return;
+      }
+      const result = parseEngineLine(line);
+      if (result && owner) owner._result(result);
+    });
+  }
+
+  get writable() { return this.alive && this._proc.stdin.writable; }
+
+  write(pcm) {
+    if (!pcm.length) return;
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(pcm.length);
+    this._proc.stdin.write(Buffer.concat([header, pcm]));
+  }
+
+  endUtterance() {
+    if (this.writable) this._proc.stdin.write(END_OF_UTTERANCE);
+  }
+
+  stop() {
+    this.alive = false;
+    this._proc.kill();
+  }
+}
+
+/**
+ * One utterance fed into a PersistentEngine. destroy() doesn't stop the
+ * engine: the utterance is ended and its remaining output discarded, after
+ * which the engine is free for the next one.
+ */
+class PersistentRecognitionStream extends EventEmitter {
+  constructor(engine) {
+    super();
+    this._engine = engine;
+    this._ended = false;
+    this._destroyed = false;
+    engine.owner = this;
+  }
+
+  get writable() { return !this._ended && !this._destroyed && this._engine.writable; }
+  get destroyed() { return this._destroyed; }
+  write(buffer) { if (this.writable) this._engine.write(buffer); }
+
+  end() {
+    if (this._ended) return;
+    this._ended = true;
+    this._engine.endUtterance();
+  }
+
+  destroy() {
+    if (this._destroyed) return;
+    this.end();
+    this._destroyed = true;
+  }
+
+  _result(result) { if (!this._destroyed) this.emit('result', result); }
+  _finish() { if (!this._destroyed) this.emit('end'); }
+  _fail(err) { if (!this._destroyed) this.emit('error', err); }
+}
+
+class LocalSpeechProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.command] - engine executable; defaults to LOCAL_STT_COMMAND
+   * @param {string[]} [options.args] - extra arguments before the sample rate/language flags
+   * @param {boolean} [options.persistent] - keep engines running between
+   *   utterances; defaults to LOCAL_STT_PERSISTENT, else on only for the bundled engine
+   */
+  constructor({ command, args, persistent } = {}) {
+    this.name = 'local';
+    // A local engine has no server-imposed stream limit.
+    this.maxStreamDuration = null;
+    const commandLine = command ? null : (process.env.LOCAL_STT_COMMAND || DEFAULT_COMMAND).trim();
+    if (command) {
+      this.command = command;
+      this.args = args || [];
+    } else {
+      [this.command, ...this.args] = commandLine.split(/\s+/);
+    }
+    if (persistent === undefined) {
+      persistent = process.env.LOCAL_STT_PERSISTENT
+        ? process.env.LOCAL_STT_PERSISTENT === '1'
+        : commandLine === DEFAULT_COMMAND;
+    }
+    this.persistent = persistent;
+    this._idle = new Map();  // "language@rate" → idle PersistentEngine[]
+    this._closed = false;
+  }
+
+  /**
+   * Phrase hints are not passed on: most local engines either lack them or
+   * treat them as a closed grammar, which would hurt open-vocabulary captions.
+   * @param {object} [options]
+   * @param {string} [options.languageCode]
+   * @param {number} [options.sampleRateHertz]
+   * @returns {LocalRecognitionStream|PersistentRecognitionStream}
+   */
+  createStream({ languageCode = 'en-US', sampleRateHertz = DEFAULT_SAMPLE_RATE } = {}) {
+    if (!this.persistent) {
+      return new LocalRecognitionStream(this.command, this.args, { languageCode, sampleRateHertz });
+    }
+    const key = `${languageCode}@${sampleRateHertz}`;
+    let engine = (this._idle.get(key) || []).pop();
+    if (!engine) {
+      engine = new PersistentEngine(this.command, this.args, { languageCode, sampleRateHertz });
+      engine.on('idle', () => {
+        const idle = this._idle.get(key) || [];
+        if (this._closed || idle.length >= MAX_IDLE_ENGINES) return engine.stop();
+        idle.push(engine);
+        this._idle.set(key, idle);
+      });
+      engine.on('exit', () => {
+        const idle = this._idle.get(key) || [];
+        if (idle.includes(engine)) idle.splice(idle.indexOf(engine), 1);
+      });
+    }
+    return new PersistentRecognitionStream(engine);
+  }
+
+  /** Stop the idle persistent engines (busy ones stop when their utterance ends). */
+  close() {
+    this._closed = true;
+    for (const idle of this._idle.values()) {
+      for (const engine of idle.splice(0)) engine.stop();
+    }
+  }
+}
+
+LocalSpeechProvider.parseEngineLine = parseEngineLine;
+
+module.exports = LocalSpeechProvider;
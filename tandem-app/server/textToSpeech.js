@@ -1,37 +1,189 @@
 // server/textToSpeech.js
-// Google Cloud TTS service — converts ASL prediction words to MP3 audio
-// sent to the hearing peer over Socket.IO.
-const textToSpeech = require('@google-cloud/text-to-speech');
+// Text-to-speech service — converts ASL prediction words to audio sent to the
+// hearing peer over Socket.IO. Synthesis is delegated to pluggable providers
+// (see server/tts/) tried in TTS_PROVIDERS order, so a Google outage or
+// missing credentials fail over to the local engine. Audio from the primary
+// provider is cached (see server/ttsCache.js).
+const path = require('path');
+const { createProviders } = require('./tts');
+const TtsCache = require('./ttsCache');
 
-const client = new textToSpeech.TextToSpeechClient();
+// A provider that just failed is skipped for this long, so every utterance
+// doesn't pay the latency of a broken backend before failing over.
+const FAILURE_COOLDOWN = 60 * 1000;
+
+const SSML_GENDERS = ['NEUTRAL', 'MALE', 'FEMALE'];
+
+/**
+ * Validate client-supplied voice preferences, dropping anything malformed and
+ * clamping numbers to the ranges Google TTS accepts.
+ * @param {object} [prefs] - { languageCode, voiceName, ssmlGender, speakingRate, pitch }
+ * @returns {object} options safe to pass to synthesize()
+ */
+function normalizeVoiceOptions(prefs) {
+  const options = {};
+  if (!prefs || typeof prefs !== 'object') return options;
+
+  if (typeof prefs.languageCode === 'string' && /^[a-z]{2,3}-[A-Z]{2}$/.test(prefs.languageCode)) {
+    options.languageCode = prefs.languageCode;
+  }
+  if (typeof prefs.voiceName === 'string' && /^[A-Za-z0-9-]{1,64}$/.test(prefs.voiceName)) {
+    options.voiceName = prefs.voiceName;
+  }
+  if (SSML_GENDERS.includes(prefs.ssmlGender)) {
+    options.ssmlGender = prefs.ssmlGender;
+  }
+  // Google voice names start with their locale ("en-GB-Wavenet-B"); a
+  // mismatched languageCode would make the request fail.
+  const voiceLocale = options.voiceName && /^[a-z]{2,3}-[A-Z]{2}/.exec(options.voiceName);
+  if (voiceLocale) options.languageCode = voiceLocale[0];
+  const rate = Number(prefs.speakingRate);
+  if (Number.isFinite(rate)) options.speakingRate = Math.min(4.0, Math.max(0.25, rate));
+  const pitch = Number(prefs.pitch);
+  if (Number.isFinite(pitch)) options.pitch = Math.min(20.0, Math.max(-20.0, pitch));
+  return options;
+}
+
+/**
+ * Build a synthesize() function that fails over across `providers`.
+ * @param {object[]} providers - TTS providers in priority order
+ * @param {object} [options]
+ * @param {TtsCache} [options.cache] - cache for audio from the primary provider
+ * @returns {(text: string, options?: object) => Promise<string>}
+ */
+function createSynthesizer(providers, { cache = null } = {}) {
+  const cooldownUntil = new Map();
+
+  /**
+   * Convert text to speech and return base64-encoded audio (MP3 or WAV,
+   * depending on which provider answered — the browser decodes either).
+   *
+   * @param {string} text - The text to synthesize (e.g. an ASL prediction like "help")
+   * @param {object} [options] - voice options passed to the provider
+   * @returns {Promise<string>} base64-encoded audio content
+   * @throws {Error} if every provider failed
+   */
+  return async function synthesize(text, options = {}) {
+    const key = cache && TtsCache.key(text, options);
+    if (cache) {
+      const hit = await cache.get(key);
+      if (hit) return hit.toString('base64');
+    }
+
+    const now = Date.now();
+    // Providers in cooldown are still tried as a last resort, after healthy ones.
+    const ordered = [
+      ...providers.filter((p) => !(cooldownUntil.get(p.name) > now)),
+      ...providers.filter((p) => cooldownUntil.get(p.name) > now),
+    ];
+
+    const errors = [];
+    for (const provider of ordered) {
+      try {
+        const audio = await provider.synthesize(text, options);
+        cooldownUntil.delete(provider.name);
+        // Only the primary provider's audio is cached: a fallback voice served
+        // during an outage should not stick around once the primary recovers.
+        if (cache && provider === providers[0]) await cache.set(key, audio);
+        // Encode for JSON transport over Socket.IO.
+        return audio.toString('base64');
+      } catch (err) {
+        console.warn(`[TTS] ${provider.name} provider failed:`, err.message);
+        cooldownUntil.set(provider.name, Date.now() + FAILURE_COOLDOWN);
+        errors.push(`${provider.name}: ${err.message}`);
+      }
+    }
+
+    throw new Error(`All TTS providers failed (${errors.join('; ')})`);
+  };
+}
+
+const cache = new TtsCache({
+  maxEntries: parseInt(process.env.TTS_CACHE_SIZE, 10) || undefined,
+  // TTS_CACHE_DIR= (empty) keeps the cache in memory only.
+  dir: process.env.TTS_CACHE_DIR === '' ? null
+    : process.env.TTS_CACHE_DIR || path.join(__dirname, '..', '.cache', 'tts'),
+});
+const synthesize = createSynthesizer(createProviders(process.env.TTS_PROVIDERS || 'google,local'), { cache });
+
+/**
+ * Synthesize every phrase once so later requests hit the cache. Runs
+ * sequentially to stay well inside provider rate limits; phrases already on
+ * disk cost nothing. Gives up after a few consecutive failures rather than
+ * hammering a backend that is clearly down.
+ * @param {string[]} phrases
+ * @param {object} [options] - voice options to warm for
+ * @returns {Promise<{ warmed: number, failed: number }>}
+ */
+async function prewarm(phrases, options = {}) {
+  const MAX_CONSECUTIVE_FAILURES = 3;
+  let warmed = 0;
+  let failed = 0;
+  let streak = 0;
+  for (const phrase of phrases) {
+    try {
+      await synthesize(phrase, options);
+      warmed++;
+      streak = 0;
+    } catch {
+      failed++;
+      if (++streak >= MAX_CONSECUTIVE_FAILURES) {
+        console.warn('[TTS] pre-warm aborted: providers unavailable');
+        break;
+      }
+    }
+  }
+  return { warmed, failed };
+}
+
+// Voices worth pre-warming: deaf.html's default voice first, then the other
+// WaveNet presets it offers (VOICE_PRESETS in public/deaf.js), each at the
+// default rate and pitch. Custom rates, pitches and voice names are only
+// synthesized on demand, so pre-warming costs at most one vocabulary per preset.
+const PREWARM_VOICES = [
+  { languageCode: 'en-US', voiceName: 'en-US-Wavenet-D', ssmlGender: 'MALE' },
+  { languageCode: 'en-US', voiceName: 'en-US-Wavenet-A', ssmlGender: 'MALE' },
+  { languageCode: 'en-US', voiceName: 'en-US-Wavenet-F', ssmlGender: 'FEMALE' },
+  { languageCode: 'en-US', voiceName: 'en-US-Wavenet-C', ssmlGender: 'FEMALE' },
+  { languageCode: 'en-GB', voiceName: 'en-GB-Wavenet-B', ssmlGender: 'MALE' },
+  { languageCode: 'en-GB', voiceName: 'en-GB-Wavenet-A', ssmlGender: 'FEMALE' },
+  { languageCode: 'es-US', voiceName: 'es-US-Wavenet-B', ssmlGender: 'MALE' },
+  { languageCode: 'es-US', voiceName: 'es-US-Wavenet-A', ssmlGender: 'FEMALE' },
+  { languageCode: 'fr-FR', voiceName: 'fr-FR-Wavenet-B', ssmlGender: 'MALE' },
+  { languageCode: 'fr-FR', voiceName: 'fr-FR-Wavenet-A', ssmlGender: 'FEMALE' },
+];
+const DEFAULT_VOICE = PREWARM_VOICES[0];
+
+// Presets already pre-warmed (or queued) in this process, by voice name —
+// never more than PREWARM_VOICES. Warm-ups run one after another behind `warmQueue`.
+const warmedVoices = new Set();
+let warmQueue = Promise.resolve();
+
+/**
+ * The preset `options` select, if they are one at its default rate and pitch.
+ * @param {object} options - normalized voice options
+ * @returns {object|null}
+ */
+function presetVoice(options) {
+  if ((options.speakingRate ?? 1.0) !== 1.0 || (options.pitch ?? 0.0) !== 0.0) return null;
+  return PREWARM_VOICES.find((voice) => voice.voiceName === options.voiceName &&
+    voice.ssmlGender === options.ssmlGender) || null;
+}
 
 /**
- * Convert text to speech and return a base64-encoded MP3 string.
- * Uses the same Google Cloud credentials already configured for STT
- * (GOOGLE_APPLICATION_CREDENTIALS env var).
- *
- * @param {string} text - The text to synthesize (e.g. an ASL prediction like "help")
- * @returns {Promise<string>} base64-encoded MP3 audio content
+ * Pre-warm `phrases` for a preset voice the first time it is used. Anything
+ * that isn't a preset at its default rate and pitch is ignored.
+ * @param {string[]} phrases
+ * @param {object} [options] - normalized voice options; defaults to deaf.html's default voice
+ * @returns {Promise<{ warmed: number, failed: number }>|null} null if nothing was queued
  */
-async function synthesize(text) {
-    const request = {
-        input: { text },
-        voice: {
-            languageCode: 'en-US',
-            ssmlGender: 'NEUTRAL',
-            // Wavenet voices are higher quality; falls back gracefully if unavailable.
-            name: 'en-US-Wavenet-D',
-        },
-        audioConfig: {
-            audioEncoding: 'MP3',
-            speakingRate: 1.0,
-            pitch: 0.0,
-        },
-    };
-
-    const [response] = await client.synthesizeSpeech(request);
-    // response.audioContent is a Buffer; encode it for JSON transport over Socket.IO.
-    return response.audioContent.toString('base64');
+function prewarmVoice(phrases, options = DEFAULT_VOICE) {
+  const preset = presetVoice(options);
+  if (!preset || warmedVoices.has(preset.voiceName)) return null;
+  warmedVoices.add(preset.voiceName);
+  const run = warmQueue.then(() => prewarm(phrases, preset));
+  warmQueue = run.catch(() => {});
+  return run;
 }
 
-module.exports = { synthesize };
+module.exports = { synthesize, prewarm, prewarmVoice, normalizeVoiceOptions, createSynthesizer };
@@ -0,0 +1,157 @@
+// server/transcript.js
+// Per-room conversation log. Captions and sign chips on the pages are
+// ephemeral, so the server records everything that was actually said — final
+// speech transcripts, ASL predictions and chat messages — with who said it,
+// when and how confident the recognizer was, and renders it for export as
+// plain text, JSON, WebVTT or SRT.
+
+const DEFAULT_MAX_ENTRIES = 5000;
+// Subtitle cues last roughly as long as the text takes to read, within bounds.
+const MS_PER_WORD = 400;
+const MIN_CUE_MS = 1500;
+const MAX_CUE_MS = 6000;
+
+const KIND_LABELS = { speech: 'said', sign: 'signed', chat: 'typed' };
+
+const FORMATS = {
+  txt: { type: 'text/plain; charset=utf-8', render: toText },
+  json: { type: 'application/json; charset=utf-8', render: toJSON },
+  vtt: { type: 'text/vtt; charset=utf-8', render: toWebVTT },
+  srt: { type: 'application/x-subrip; charset=utf-8', render: toSRT },
+};
+
+class TranscriptLog {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - oldest entries are dropped beyond this
+   * @param {number} [options.startedAt] - epoch ms that subtitle times count from
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, startedAt = Date.now() } = {}) {
+    this.maxEntries = maxEntries;
+    this.startedAt = startedAt;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record one utterance.
+   * @param {object} entry
+   * @param {'speech'|'sign'|'chat'} entry.kind
+   * @param {string} entry.text
+   * @param {{ id: string, userType?: string }} entry.speaker
+   * @param {number} [entry.confidence] - 0..1, when the recognizer reported one
+   * @param {number} [entry.time] - epoch ms, defaults to now
+   * @returns {object|null} the stored entry, or null for empty text
+   */
+  add({ kind, text, speaker = {}, confidence, time = Date.now() }) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return null;
+    const entry = {
+      id: this.nextId++,
+      kind,
+      text: trimmed,
+      speaker: speakerLabel(speaker),
+      speakerId: speaker.id,
+      time,
+      offset: Math.max(0, time - this.startedAt),
+    };
+    if (Number.isFinite(confidence)) entry.confidence = Math.round(confidence * 100) / 100;
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries.shift();
+    return entry;
+  }
+
+  /**
+   * Render the log in one of FORMATS.
+   * @param {string} format - 'txt' | 'json' | 'vtt' | 'srt'
+   * @param {object} [window] - limit to entries between two epoch ms times,
+   *   with subtitle times counted from `from` (e.g. a recording's start)
+   * @param {number} [window.from]
+   * @param {number} [window.to]
+   * @returns {{ type: string, body: string }}
+   * @throws {Error} for an unknown format
+   */
+  export(format, { from, to } = {}) {
+    const spec = FORMATS[format];
+    if (!spec) throw new Error(`Unknown transcript format "${format}"`);
+    if (from === undefined && to === undefined) {
+      return { type: spec.type, body: spec.render(this.entries, this.startedAt) };
+    }
+    const start = from === undefined ? this.startedAt : from;
+    const entries = this.entries
+      .filter((entry) => entry.time >= start && (to === undefined || entry.time <= to))
+      .map((entry) => ({ ...entry, offset: entry.time - start }));
+    return { type: spec.type, body: spec.render(entries, start) };
+  }
+}
+
+/** "Hearing (ab12)" — the same label the pages use for peers. */
+function speakerLabel({ id, userType } = {}) {
+  const type = typeof userType === 'string' && userType ? userType : 'peer';
+  return `${type.charAt(0).toUpperCase()}${type.slice(1)} (${String(id).slice(0, 4)})`;
+}
+
+/** hh:mm:ss.mmm (WebVTT) or hh:mm:ss,mmm (SRT). */
+function formatTimestamp(ms, separator = '.') {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const millis = total % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Start and end offsets for each entry's cue: reading time for its words,
+ * cut short where the next entry starts so cues don't overlap.
+ */
+function cueTimes(entries) {
+  return entries.map((entry, i) => {
+    const words = entry.text.split(/\s+/).length;
+    let end = entry.offset + Math.min(MAX_CUE_MS, Math.max(MIN_CUE_MS, words * MS_PER_WORD));
+    const next = entries[i + 1];
+    if (next && next.offset > entry.offset) end = Math.min(end, next.offset);
+    return { start: entry.offset, end };
+  });
+}
+
+function toText(entries) {
+  return entries
+    .map((entry) => `[${new Date(entry.time).toISOString()}] ${entry.speaker} ${KIND_LABELS[entry.kind] || entry.kind}: ` +
+      `${entry.text}${entry.confidence !== undefined ? ` (${Math.round(entry.confidence * 100)}%)` : ''}`)
+    .join('\n') + (entries.length ? '\n' : '');
+}
+
+function toJSON(entries, startedAt) {
+  return JSON.stringify({ startedAt: new Date(startedAt).toISOString(), entries }, null, 2);
+}
+
+/** Escape text for a WebVTT cue: "<" would start a tag, ">" end a voice span. */
+function escapeCueText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** A speaker name on one line — a line break would end the cue early. */
+function oneLine(text) {
+  return String(text).replace(/\s+/g, ' ');
+}
+
+function toWebVTT(entries) {
+  const times = cueTimes(entries);
+  const cues = entries.map((entry, i) =>
+    `${entry.id}\n${formatTimestamp(times[i].start)} --> ${formatTimestamp(times[i].end)}\n` +
+    // Voice spans name the speaker.
+    `<v ${escapeCueText(oneLine(entry.speaker))}>${escapeCueText(entry.text)}`);
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toSRT(entries) {
+  const times = cueTimes(entries);
+  // SRT has no escapes, and players read <b>/<i>/<font> tags in it.
+  return entries.map((entry, i) =>
+    `${i + 1}\n${formatTimestamp(times[i].start, ',')} --> ${formatTimestamp(times[i].end, ',')}\n` +
+    `${oneLine(entry.speaker).replace(/[<>]/g, '')}: ${entry.text}\n`).join('\n');
+}
+
+module.exports = { TranscriptLog, formatTimestamp, FORMATS };
@@ -0,0 +1,39 @@
+// server/tts/index.js
+// Text-to-speech provider registry. server/textToSpeech.js tries the
+// configured providers in order and fails over between them.
+//
+// Provider interface:
+//   name        string
+//   synthesize(text, { languageCode, voiceName, ssmlGender, speakingRate, pitch })
+//     → Promise<Buffer> of encoded audio (MP3 or WAV — browsers decode either)
+const GoogleTtsProvider = require('./googleProvider');
+const LocalTtsProvider = require('./localProvider');
+
+const PROVIDERS = {
+  google: GoogleTtsProvider,
+  local: LocalTtsProvider,
+};
+
+/**
+ * Instantiate a TTS provider by name.
+ * @param {string} name - 'google' or 'local'
+ * @returns {object} provider implementing the interface above
+ */
+function createProvider(name) {
+  const Provider = PROVIDERS[String(name).trim().toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown TTS provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider();
+}
+
+/**
+ * Parse a comma-separated failover list such as "google,local".
+ * @param {string} [list]
+ * @returns {object[]} providers in priority order
+ */
+function createProviders(list = 'google,local') {
+  return list.split(',').filter((name) => name.trim()).map(createProvider);
+}
+
+module.exports = { createProvider, createProviders, GoogleTtsProvider, LocalTtsProvider };
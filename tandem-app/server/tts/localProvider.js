@@ -0,0 +1,88 @@
+// server/tts/localProvider.js
+// On-premises TTS adapter: runs a local synthesis engine as a child process.
+// The text is written to the engine's stdin and the encoded audio (WAV or
+// MP3) is read back from its stdout.
+//
+// The default command is espeak-ng, whose voice / rate / pitch flags are
+// filled in from the request. Other engines (e.g. piper with
+// `--output_file -`) can be configured via LOCAL_TTS_COMMAND and receive the
+// text only.
+const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_COMMAND = 'espeak-ng --stdout --stdin';
+const SYNTH_TIMEOUT = 10000;
+// espeak-ng speaks at ~175 words per minute at its default rate.
+const ESPEAK_BASE_WPM = 175;
+
+class LocalTtsProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.command] - engine executable; defaults to LOCAL_TTS_COMMAND
+   * @param {string[]} [options.args]
+   */
+  constructor({ command, args } = {}) {
+    this.name = 'local';
+    if (command) {
+      this.command = command;
+      this.args = args || [];
+    } else {
+      [this.command, ...this.args] = (process.env.LOCAL_TTS_COMMAND || DEFAULT_COMMAND).trim().split(/\s+/);
+    }
+    this.isEspeak = path.basename(this.command).startsWith('espeak');
+  }
+
+  /**
+   * Map the provider-neutral options onto espeak-ng flags.
+   * @returns {string[]}
+   */
+  _espeakArgs({ languageCode = 'en-US', speakingRate = 1.0, pitch = 0.0 }) {
+    return [
+      '-v', languageCode.toLowerCase(),
+      '-s', String(Math.round(ESPEAK_BASE_WPM * speakingRate)),
+      // Google pitch is -20..20 semitones around 0; espeak is 0..99 around 50.
+      '-p', String(Math.max(0, Math.min(99, Math.round(50 + pitch * 2.5)))),
+    ];
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} [options]
+   * @returns {Promise<Buffer>} encoded audio from the engine's stdout
+   */
+  synthesize(text, options = {}) {
+    const args = this.isEspeak ? [...this.args, ...this._espeakArgs(options)] : this.args;
+
+    return new Promise((resolve, reject) => {
+      const proc = spawn(this.command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      const chunks = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        proc.kill();
+        reject(new Error(`Local TTS engine timed out after ${SYNTH_TIMEOUT} ms`));
+      }, SYNTH_TIMEOUT);
+
+      proc.stdout.on('data', (chunk) => chunks.push(chunk));
+      proc.stderr.on('data', (chunk) => { stderr += chunk; });
+      proc.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      proc.on('close', (code) => {
+        clearTimeout(timer);
+        const audio = Buffer.concat(chunks);
+        if (code !== 0 || audio.length === 0) {
+          reject(new Error(`Local TTS engine exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+          return;
+        }
+        resolve(audio);
+      });
+
+      proc.stdin.on('error', () => { /* surfaced via 'close' / 'error' */ });
+      proc.stdin.end(text);
+    });
+  }
+}
+
+module.exports = LocalTtsProvider;
@@ -0,0 +1,37 @@
+// server/ttsCache.js
+// Cache for synthesized speech. The recognizer's vocabulary is tiny and
+// repeats constantly, so most utterances are served without calling a TTS
+// provider at all.
+const crypto = require('crypto');
+const BlobCache = require('./blobCache');
+
+class TtsCache extends BlobCache {
+  /**
+   * @param {object} [options] - see BlobCache
+   */
+  constructor(options = {}) {
+    super({ extension: 'audio', ...options });
+  }
+
+  /**
+   * Cache key for one utterance. Everything that changes the audio is part of
+   * it: the text and the voice, rate, pitch and encoding it was rendered with.
+   * @param {string} text
+   * @param {object} [options] - the synthesize() voice options
+   * @returns {string} hex digest
+   */
+  static key(text, options = {}) {
+    const normalized = {
+      text: String(text).trim().replace(/\s+/g, ' '),
+      languageCode: options.languageCode || 'en-US',
+      voiceName: options.voiceName || null,
+      ssmlGender: options.ssmlGender || null,
+      speakingRate: options.speakingRate ?? 1.0,
+      pitch: options.pitch ?? 0.0,
+      audioEncoding: options.audioEncoding || 'MP3',
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+}
+
+module.exports = TtsCache;
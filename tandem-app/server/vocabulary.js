@@ -0,0 +1,29 @@
+// server/vocabulary.js
+// The ASL recognizer's output vocabulary, read from asl/labels_dict.py so the
+// Node side stays in sync with whatever the Python model was trained on.
+const fs = require('fs');
+const path = require('path');
+
+const LABELS_PATH = path.join(__dirname, '..', 'asl', 'labels_dict.py');
+
+let cached = null;
+
+/**
+ * Every label the classifier can emit (e.g. "water", "thank you", "A").
+ * @returns {string[]} unique labels in file order; empty if the file is missing
+ */
+function getAslVocabulary() {
+  if (cached) return cached;
+  try {
+    const source = fs.readFileSync(LABELS_PATH, 'utf8');
+    // Entries look like `"thank you": "thank you",` — the value is the label.
+    const labels = [...source.matchAll(/["'][^"']*["']\s*:\s*["']([^"']+)["']/g)].map((m) => m[1]);
+    cached = [...new Set(labels)];
+  } catch (err) {
+    console.warn('[vocabulary] could not read labels_dict.py:', err.message);
+    cached = [];
+  }
+  return cached;
+}
+
+module.exports = { getAslVocabulary };
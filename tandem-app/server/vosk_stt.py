@@ -0,0 +1,119 @@
+"""Offline speech recognizer for Tandem's local STT provider.
+
+Reads raw LINEAR16 mono PCM from stdin and writes one JSON object per line to
+stdout, which server/stt/localProvider.js turns into transcript events:
+    {"partial": "..."}                 interim hypothesis
+    {"text": "...", "result": [...]}   final result with per-word confidence
+
+Usage (normally spawned by the Node server when STT_PROVIDER=local):
+    python server/vosk_stt.py --sample-rate 16000 --language en-US
+
+With --persistent the process serves utterance after utterance so the model is
+loaded once: stdin carries frames of a 4-byte little-endian length and that
+much PCM, a zero-length frame ends the current utterance, and each utterance's
+final result is followed by {"end": true}. It exits when stdin closes.
+
+Set VOSK_MODEL_PATH to an unpacked model from https://alphacephei.com/vosk/models
+"""
+import argparse
+import json
+import os
+import struct
+import sys
+
+from vosk import KaldiRecognizer, Model, SetLogLevel
+
+DEFAULT_MODEL_PATH = os.path.join('models', 'vosk-model-small-en-us-0.15')
+CHUNK_BYTES = 8000
+
+
+def emit(message):
+    """Write one JSON line and flush so Node sees it immediately."""
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+
+def read_exactly(size):
+    """Read `size` bytes from stdin, or None if it closes first."""
+    data = b''
+    while len(data) < size:
+        chunk = sys.stdin.buffer.read(size - len(data))
+        if not chunk:
+            return None
+        data += chunk
+    return data
+
+
+class Utterance:
+    """Feeds PCM to a recognizer and emits its results."""
+
+    def __init__(self, model, sample_rate):
+        self.recognizer = KaldiRecognizer(model, sample_rate)
+        self.recognizer.SetWords(True)
+        self.last_partial = ''
+
+    def accept(self, data):
+        if self.recognizer.AcceptWaveform(data):
+            emit(json.loads(self.recognizer.Result()))
+            self.last_partial = ''
+        else:
+            partial = json.loads(self.recognizer.PartialResult()).get('partial', '')
+            # Only report changes — Vosk repeats the same partial every chunk.
+            if partial != self.last_partial:
+                emit({'partial': partial})
+                self.last_partial = partial
+
+    def finish(self):
+        emit(json.loads(self.recognizer.FinalResult()))
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument('--sample-rate', type=int, default=16000)
+    # Vosk models are single-language; the flag is accepted for interface
+    # compatibility and only logged.
+    parser.add_argument('--language', default='en-US')
+    parser.add_argument('--persistent', action='store_true',
+                        help='serve framed utterances until stdin closes')
+    args = parser.parse_args()
+
+    model_path = os.environ.get('VOSK_MODEL_PATH', DEFAULT_MODEL_PATH)
+    if not os.path.isdir(model_path):
+        print(f'Vosk model not found at {model_path} (set VOSK_MODEL_PATH)', file=sys.stderr)
+        sys.exit(1)
+
+    SetLogLevel(-1)
+    model = Model(model_path)
+    print(f'Vosk ready: {model_path} @ {args.sample_rate} Hz ({args.language})', file=sys.stderr)
+
+    if not args.persistent:
+        utterance = Utterance(model, args.sample_rate)
+        while True:
+            data = sys.stdin.buffer.read(CHUNK_BYTES)
+            if not data:
+                break
+            utterance.accept(data)
+        utterance.finish()
+        return
+
+    # A fresh recognizer per utterance (cheap next to the model) so word
+    # times count from the start of each utterance.
+    utterance = Utterance(model, args.sample_rate)
+    while True:
+        header = read_exactly(4)
+        if header is None:
+            break
+        (size,) = struct.unpack('<I', header)
+        if size == 0:
+            utterance.finish()
+            emit({'end': True})
+            utterance = Utterance(model, args.sample_rate)
+            continue
+        data = read_exactly(size)
+        if data is None:
+            break
+        utterance.accept(data)
+
+
+if __name__ == '__main__':
+    main()
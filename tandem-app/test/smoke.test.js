@@ -6,6 +6,16 @@
 // What it verifies:
 //   1. All server-side modules can be require()'d without throwing
 //   2. getRoomSize-equivalent logic works (trivial but catches import breakage)
+//   3. Room code validation and RoomManager capacity / expiry
+//   4. STT provider selection, the local engine line protocol, word timings,
+//      language / vocabulary validation, mid-call reconfiguration, sample
+//      rate negotiation and binary audio, speech-gated streams, seamless
+//      stream rotation / error recovery and fingerspelling correction
+//   5. TTS provider failover, the local engine adapter and the audio cache
+//   6. Pose caching, the pre-seeded pose library and word-level stitching
+//      (against a local stand-in for the sign.mt pose service)
+//   7. Conversation transcript export (text, JSON, WebVTT, SRT) and the
+//      call recording consent handshake
 
 'use strict';
 
@@ -43,3 +53,782 @@ test('getRoomSize returns 0 for an unknown room (logic unit)', () => {
     assert.strictEqual(getRoomSize(fakeRooms, 'main-room'), 2);
     assert.strictEqual(getRoomSize(fakeRooms, 'unknown'), 0);
 });
+
+// ── 3. Rooms ─────────────────────────────────────────────────────────────────
+
+test('server/rooms.js normalizes room codes', () => {
+    const { normalizeRoomId } = require(path.join(__dirname, '..', 'server', 'rooms'));
+    assert.strictEqual(normalizeRoomId(' ABC123 '), 'abc123');
+    assert.strictEqual(normalizeRoomId('ab'), null);
+    assert.strictEqual(normalizeRoomId('../etc'), null);
+    assert.strictEqual(normalizeRoomId(undefined), null);
+});
+
+test('RoomManager enforces capacity and expires empty rooms', () => {
+    const { RoomManager } = require(path.join(__dirname, '..', 'server', 'rooms'));
+    const rooms = new RoomManager({ capacity: 2 });
+
+    assert.ok(rooms.join('abc', 's1').ok);
+    assert.ok(rooms.join('abc', 's2').ok);
+    assert.deepStrictEqual(rooms.join('abc', 's3'), { ok: false, reason: 'full' });
+    // A different room is unaffected.
+    assert.ok(rooms.join('xyz', 's3').ok);
+
+    let expired = null;
+    rooms.on('expired', (room) => { expired = room.id; });
+    rooms.leave('abc', 's1');
+    rooms.leave('abc', 's2');
+    assert.strictEqual(rooms.size('abc'), 0);
+    assert.ok(rooms.get('abc').expiryTimer, 'empty room should be scheduled to expire');
+
+    rooms.expire('abc');
+    assert.strictEqual(expired, 'abc');
+    assert.strictEqual(rooms.get('abc'), null);
+});
+
+// ── 4. Speech-to-text providers ──────────────────────────────────────────────
+
+test('server/stt createProvider selects adapters by name', () => {
+    const { createProvider } = require(path.join(__dirname, '..', 'server', 'stt'));
+    // The Google client is created lazily, so this needs no credentials.
+    assert.strictEqual(createProvider('google').name, 'google');
+    assert.strictEqual(createProvider('LOCAL').name, 'local');
+    assert.throws(() => createProvider('nope'), /Unknown STT_PROVIDER/);
+});
+
+test('local STT provider turns engine output lines into results', async () => {
+    const { LocalSpeechProvider } = require(path.join(__dirname, '..', 'server', 'stt'));
+    // Stand-in engine: echoes Vosk-style lines once stdin closes.
+    const engine = `
+        process.stdin.resume();
+        process.stdin.on('end', () => {
+            console.log(JSON.stringify({ partial: 'hel' }));
+            console.log('not json');
+            console.log(JSON.stringify({ text: 'hello there', result: [
+                { word: 'hello', start: 0.24, end: 0.6, conf: 0.5 },
+                { word: 'there', start: 0.66, end: 1.02, conf: 1 },
+            ] }));
+            console.log(JSON.stringify({ transcript: 'bye', isFinal: true, words: [
+                { word: 'bye', start: 2, end: 2.3 },
+                { word: 'broken' },
+            ] }));
+        });`;
+    const provider = new LocalSpeechProvider({ command: process.execPath, args: ['-e', engine, '--'] });
+    const stream = provider.createStream({ sampleRateHertz: 16000 });
+
+    const results = [];
+    stream.on('result', (r) => results.push(r));
+    const ended = new Promise((resolve, reject) => {
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+    stream.write(Buffer.alloc(320));
+    stream.end();
+    await ended;
+
+    assert.deepStrictEqual(results, [
+        { transcript: 'hel', isFinal: false, words: [] },
+        {
+            transcript: 'hello there', isFinal: true, confidence: 0.75, words: [
+                { word: 'hello', start: 0.24, end: 0.6, confidence: 0.5 },
+                { word: 'there', start: 0.66, end: 1.02, confidence: 1 },
+            ],
+        },
+        // Words without timings are dropped rather than guessed.
+        { transcript: 'bye', isFinal: true, confidence: undefined, words: [{ word: 'bye', start: 2, end: 2.3 }] },
+    ]);
+});
+
+test('persistent local STT engine is reused across utterances', async () => {
+    const { LocalSpeechProvider } = require(path.join(__dirname, '..', 'server', 'stt'));
+    // Stand-in engine speaking the framed protocol: reports how many PCM bytes
+    // each utterance carried, and from which process.
+    const engine = `
+        let buffered = Buffer.alloc(0);
+        let bytes = 0;
+        let utterances = 0;
+        process.stdin.on('data', (data) => {
+            buffered = Buffer.concat([buffered, data]);
+            while (buffered.length >= 4 && buffered.length >= 4 + buffered.readUInt32LE(0)) {
+                const size = buffered.readUInt32LE(0);
+                buffered = buffered.subarray(4 + size);
+                if (size) {
+                    bytes += size;
+                    continue;
+                }
+                utterances++;
+                console.log(JSON.stringify({ text: process.pid + ' ' + utterances + ' ' + bytes }));
+                console.log(JSON.stringify({ end: true }));
+                bytes = 0;
+            }
+        });`;
+    const provider = new LocalSpeechProvider({ command: process.execPath, args: ['-e', engine, '--'], persistent: true });
+    const utter = (chunks, { destroy = false } = {}) => {
+        const stream = provider.createStream({ sampleRateHertz: 16000 });
+        const results = [];
+        stream.on('result', (r) => results.push(r.transcript));
+        const ended = new Promise((resolve, reject) => {
+            stream.on('end', () => resolve(results));
+            stream.on('error', reject);
+        });
+        for (const size of chunks) stream.write(Buffer.alloc(size));
+        if (destroy) {
+            stream.destroy();
+            return stream;
+        }
+        stream.end();
+        return ended;
+    };
+
+    try {
+        const [first] = await utter([320, 640]);
+        const [pid, count, bytes] = first.split(' ');
+        assert.deepStrictEqual([count, bytes], ['1', '960']);
+
+        // A destroyed utterance is drained, its output dropped, and the
+        // engine handed to the next one.
+        const dropped = utter([100], { destroy: true });
+        assert.strictEqual(dropped.destroyed, true);
+        assert.strictEqual(dropped.writable, false);
+        await new Promise((resolve) => dropped._engine.once('idle', resolve));
+        assert.deepStrictEqual(await utter([32]), [`${pid} 3 32`]);
+    } finally {
+        provider.close();
+    }
+});
+
+test('Google STT word offsets become word timings in seconds', () => {
+    const GoogleSpeechProvider = require(path.join(__dirname, '..', 'server', 'stt', 'googleProvider'));
+    const words = GoogleSpeechProvider.wordTimings({
+        transcript: 'Hi there',
+        words: [
+            { word: 'Hi', startTime: { seconds: '1', nanos: 200000000 }, endTime: { seconds: '1', nanos: 500000000 }, confidence: 0.9 },
+            // Interim results carry confidence 0, meaning "not reported".
+            { word: 'there', startTime: { seconds: 1, nanos: 600000000 }, endTime: { seconds: 2 }, confidence: 0 },
+        ],
+    });
+    assert.deepStrictEqual(words, [
+        { word: 'Hi', start: 1.2, end: 1.5, confidence: 0.9 },
+        { word: 'there', start: 1.6, end: 2 },
+    ]);
+    assert.deepStrictEqual(GoogleSpeechProvider.wordTimings({ transcript: 'x' }), []);
+});
+
+// ── 5. Text-to-speech providers ──────────────────────────────────────────────
+
+test('TTS synthesizer fails over to the next provider', async () => {
+    const { createSynthesizer } = require(path.join(__dirname, '..', 'server', 'textToSpeech'));
+    const calls = [];
+    const broken = { name: 'broken', synthesize: async () => { calls.push('broken'); throw new Error('down'); } };
+    const working = { name: 'working', synthesize: async (text) => { calls.push('working'); return Buffer.from(text); } };
+    const synthesize = createSynthesizer([broken, working]);
+
+    assert.strictEqual(await synthesize('hi'), Buffer.from('hi').toString('base64'));
+    // The broken provider is now in cooldown, so it is tried last.
+    await synthesize('again');
+    assert.deepStrictEqual(calls, ['broken', 'working', 'working']);
+
+    await assert.rejects(createSynthesizer([broken])('x'), /All TTS providers failed/);
+});
+
+test('local TTS provider returns the engine stdout as audio', async () => {
+    const { LocalTtsProvider } = require(path.join(__dirname, '..', 'server', 'tts'));
+    // Stand-in engine: "synthesizes" by upper-casing stdin.
+    const engine = "process.stdin.on('data', (d) => process.stdout.write(String(d).toUpperCase()));";
+    const provider = new LocalTtsProvider({ command: process.execPath, args: ['-e', engine] });
+    const audio = await provider.synthesize('hello');
+    assert.strictEqual(audio.toString(), 'HELLO');
+
+    const failing = new LocalTtsProvider({ command: process.execPath, args: ['-e', 'process.exit(2)'] });
+    await assert.rejects(failing.synthesize('hello'), /exited with code 2/);
+});
+
+test('TTS cache keys on text and voice options and evicts LRU entries', async () => {
+    const TtsCache = require(path.join(__dirname, '..', 'server', 'ttsCache'));
+    assert.strictEqual(TtsCache.key(' thank  you '), TtsCache.key('thank you'));
+    assert.notStrictEqual(TtsCache.key('hi'), TtsCache.key('hi', { speakingRate: 1.5 }));
+    assert.notStrictEqual(TtsCache.key('hi'), TtsCache.key('hi', { audioEncoding: 'OGG_OPUS' }));
+
+    const cache = new TtsCache({ maxEntries: 2 });
+    await cache.set('a', Buffer.from('A'));
+    await cache.set('b', Buffer.from('B'));
+    await cache.get('a'); // 'b' is now least recently used
+    await cache.set('c', Buffer.from('C'));
+    assert.strictEqual(await cache.get('b'), null);
+    assert.strictEqual(String(await cache.get('a')), 'A');
+
+    // Only the primary provider's audio is cached.
+    const { createSynthesizer } = require(path.join(__dirname, '..', 'server', 'textToSpeech'));
+    let primaryCalls = 0;
+    const primary = { name: 'primary', synthesize: async () => { primaryCalls++; return Buffer.from('mp3'); } };
+    const synthesize = createSynthesizer([primary], { cache: new TtsCache() });
+    await synthesize('water');
+    await synthesize('water');
+    assert.strictEqual(primaryCalls, 1);
+});
+
+test('server/vocabulary.js reads the recognizer labels', () => {
+    const { getAslVocabulary } = require(path.join(__dirname, '..', 'server', 'vocabulary'));
+    const vocabulary = getAslVocabulary();
+    assert.ok(vocabulary.includes('water'));
+    assert.ok(vocabulary.includes('thank you'));
+    assert.ok(vocabulary.includes('A'));
+});
+
+test('normalizeVoiceOptions validates and clamps voice preferences', () => {
+    const { normalizeVoiceOptions } = require(path.join(__dirname, '..', 'server', 'textToSpeech'));
+    assert.deepStrictEqual(normalizeVoiceOptions({
+        languageCode: 'en-US',
+        voiceName: 'en-GB-Wavenet-B',
+        ssmlGender: 'MALE',
+        speakingRate: 9,
+        pitch: '-3',
+    }), {
+        // The voice's own locale wins over a mismatched languageCode.
+        languageCode: 'en-GB',
+        voiceName: 'en-GB-Wavenet-B',
+        ssmlGender: 'MALE',
+        speakingRate: 4.0,
+        pitch: -3,
+    });
+    assert.deepStrictEqual(normalizeVoiceOptions({ voiceName: '../../etc', ssmlGender: 'LOUD' }), {});
+    assert.deepStrictEqual(normalizeVoiceOptions(null), {});
+});
+
+test('only preset voices at their default rate and pitch are pre-warmed', () => {
+    const { prewarmVoice, normalizeVoiceOptions } = require(path.join(__dirname, '..', 'server', 'textToSpeech'));
+    const preset = { languageCode: 'fr-FR', voiceName: 'fr-FR-Wavenet-A', ssmlGender: 'FEMALE', speakingRate: 1, pitch: 0 };
+    // Slider positions and unknown voices are synthesized on demand only.
+    assert.strictEqual(prewarmVoice([], normalizeVoiceOptions({ ...preset, speakingRate: 1.05 })), null);
+    assert.strictEqual(prewarmVoice([], normalizeVoiceOptions({ ...preset, pitch: 2 })), null);
+    assert.strictEqual(prewarmVoice([], normalizeVoiceOptions({ ...preset, voiceName: 'fr-FR-Standard-A' })), null);
+    // A preset is warmed once, however often it is picked.
+    assert.ok(prewarmVoice([], normalizeVoiceOptions(preset)));
+    assert.strictEqual(prewarmVoice([], normalizeVoiceOptions(preset)), null);
+});
+
+test('STT language codes and custom vocabulary are validated', () => {
+    const { normalizeLanguageCode, normalizePhrases } = require(path.join(__dirname, '..', 'server', 'stt'));
+    assert.strictEqual(normalizeLanguageCode('en-GB'), 'en-GB');
+    assert.strictEqual(normalizeLanguageCode('cmn-Hans-CN'), 'cmn-Hans-CN');
+    assert.strictEqual(normalizeLanguageCode('english'), null);
+    assert.deepStrictEqual(
+        normalizePhrases(['  Hiruy  Worku ', 'Tandem', 'Tandem', '', 42, 'x'.repeat(101)]),
+        ['Hiruy Worku', 'Tandem']
+    );
+    assert.deepStrictEqual(normalizePhrases('Tandem'), []);
+});
+
+test('fingerspelled words are corrected against the dictionary', () => {
+    const { correctSpelling, editDistance } = require(path.join(__dirname, '..', 'server', 'spelling'));
+    assert.strictEqual(editDistance('helo', 'hello', 2), 1);
+    assert.strictEqual(editDistance('hlelo', 'hello', 2), 1, 'adjacent transposition counts once');
+    assert.deepStrictEqual(correctSpelling('HELO'), { word: 'hello', corrected: true });
+    assert.deepStrictEqual(correctSpelling('WATER'), { word: 'water', corrected: false });
+    // Unknown words with no close match are kept — usually names.
+    assert.deepStrictEqual(correctSpelling('XQZT'), { word: 'xqzt', corrected: false });
+    // Room vocabulary wins over common words.
+    assert.deepStrictEqual(correctSpelling('HIRYU', ['Hiruy']), { word: 'hiruy', corrected: true });
+    assert.deepStrictEqual(correctSpelling('A'), { word: 'a', corrected: false });
+});
+
+test('SpeechToTextService.reconfigure swaps streams without losing the socket', () => {
+    const { SpeechToTextService } = require(path.join(__dirname, '..', 'server', 'speechToText'));
+    const EventEmitter = require('events');
+    const opened = [];
+    const provider = {
+        name: 'fake',
+        maxStreamDuration: null,
+        createStream(options) {
+            const stream = new EventEmitter();
+            Object.assign(stream, { options, writable: true, destroyed: false, ended: false });
+            stream.write = () => {};
+            stream.end = () => { stream.ended = true; };
+            stream.destroy = () => { stream.destroyed = true; };
+            opened.push(stream);
+            return stream;
+        },
+    };
+    const stt = new SpeechToTextService(provider);
+    const socket = new EventEmitter();
+    stt.createRecognizeStream('s1');
+    stt.bindSocketToStream('s1', socket);
+
+    stt.reconfigure('s1', { languageCode: 'es-US', phrases: ['Tandem'] });
+    assert.strictEqual(opened.length, 2);
+    assert.ok(opened[0].ended && !opened[0].destroyed, 'old stream is ended, not destroyed');
+    assert.deepStrictEqual(opened[1].options.phrases, ['Tandem']);
+    assert.strictEqual(opened[1].options.languageCode, 'es-US');
+    assert.strictEqual(stt.recognizeStreams.get('s1').socket, socket);
+    stt.cleanup('s1');
+});
+
+test('STT streams use the negotiated sample rate and take binary PCM chunks', () => {
+    const { SpeechToTextService } = require(path.join(__dirname, '..', 'server', 'speechToText'));
+    const { normalizeSampleRate, toPcmBuffer, DEFAULT_SAMPLE_RATE } = require(path.join(__dirname, '..', 'server', 'stt'));
+    const EventEmitter = require('events');
+    assert.strictEqual(normalizeSampleRate('16000'), 16000);
+    assert.strictEqual(normalizeSampleRate(12345), null);
+    assert.strictEqual(toPcmBuffer(new Int16Array([1, -1]).buffer).length, 4);
+    assert.strictEqual(toPcmBuffer(Buffer.alloc(3)), null, 'half a sample');
+    assert.strictEqual(toPcmBuffer({ buffer: [1, 2] }), null, 'JSON sample arrays are no longer accepted');
+
+    const opened = [];
+    const provider = {
+        name: 'fake',
+        maxStreamDuration: null,
+        createStream(options) {
+            const stream = new EventEmitter();
+            Object.assign(stream, { options, writable: true, destroyed: false, written: [] });
+            stream.write = (chunk) => stream.written.push(chunk);
+            stream.end = () => {};
+            stream.destroy = () => { stream.destroyed = true; };
+            opened.push(stream);
+            return stream;
+        },
+    };
+    const stt = new SpeechToTextService(provider);
+    stt.createRecognizeStream('s1');
+    assert.strictEqual(opened[0].options.sampleRateHertz, DEFAULT_SAMPLE_RATE);
+
+    stt.reconfigure('s1', { sampleRateHertz: 48000 });
+    assert.strictEqual(opened[1].options.sampleRateHertz, 48000);
+    assert.strictEqual(stt.getSampleRate('s1'), 48000);
+    // The rate survives later reconfiguration and restarts.
+    stt.reconfigure('s1', { languageCode: 'de-DE' });
+    assert.strictEqual(opened[2].options.sampleRateHertz, 48000);
+
+    stt.processAudio('s1', new Int16Array([0, 100, -100]).buffer);
+    stt.processAudio('s1', 'not audio');
+    assert.strictEqual(opened[2].written.length, 1);
+    assert.ok(Buffer.isBuffer(opened[2].written[0]));
+    assert.strictEqual(opened[2].written[0].readInt16LE(2), 100);
+    stt.cleanup('s1');
+});
+
+test('STT streams are only open between speechStart and speechEnd', () => {
+    const { SpeechToTextService } = require(path.join(__dirname, '..', 'server', 'speechToText'));
+    const EventEmitter = require('events');
+    const opened = [];
+    const provider = {
+        name: 'fake',
+        maxStreamDuration: null,
+        createStream(options) {
+            const stream = new EventEmitter();
+            Object.assign(stream, { options, writable: true, destroyed: false, ended: false, written: 0 });
+            stream.write = () => { stream.written++; };
+            stream.end = () => { stream.ended = true; stream.writable = false; };
+            stream.destroy = () => { stream.destroyed = true; };
+            opened.push(stream);
+            return stream;
+        },
+    };
+    const stt = new SpeechToTextService(provider);
+    const socket = new EventEmitter();
+    stt.bindSocketToStream('s1', socket);
+    assert.strictEqual(opened.length, 0, 'nothing is streamed before speech');
+
+    stt.startSpeech('s1');
+    stt.startSpeech('s1');
+    stt.processAudio('s1', Buffer.alloc(320));
+    assert.strictEqual(opened.length, 1);
+    assert.strictEqual(opened[0].written, 1);
+
+    stt.endSpeech('s1');
+    assert.ok(opened[0].ended && !opened[0].destroyed, 'ended so its final result still arrives');
+
+    // Settings changed during silence apply to the next utterance.
+    stt.reconfigure('s1', { languageCode: 'fr-FR' });
+    assert.strictEqual(opened.length, 1);
+    stt.startSpeech('s1');
+    assert.strictEqual(opened[1].options.languageCode, 'fr-FR');
+    stt.endSpeech('s1');
+
+    // Audio whose speechStart was lost still opens a stream.
+    stt.processAudio('s1', Buffer.alloc(320));
+    assert.strictEqual(opened.length, 3);
+    assert.strictEqual(opened[2].written, 1);
+    socket.emit('disconnect');
+    assert.ok(opened[2].destroyed);
+    assert.strictEqual(stt.recognizeStreams.size, 0);
+});
+
+/** Fake STT provider whose streams record what they are fed. */
+function fakeSttProvider() {
+    const EventEmitter = require('events');
+    const opened = [];
+    return {
+        opened,
+        name: 'fake',
+        maxStreamDuration: null,
+        createStream(options) {
+            const stream = new EventEmitter();
+            Object.assign(stream, { options, writable: true, destroyed: false, written: [] });
+            // Whether every earlier stream was still alive when this one opened.
+            stream.overlapped = opened.length > 0 && !opened[opened.length - 1].destroyed;
+            stream.write = (chunk) => stream.written.push(chunk.readInt16LE(0));
+            stream.end = () => { stream.writable = false; };
+            stream.destroy = () => { stream.destroyed = true; stream.writable = false; };
+            opened.push(stream);
+            return stream;
+        },
+    };
+}
+
+function pcm(value) {
+    return new Int16Array([value]).buffer;
+}
+
+test('STT stream rotation overlaps and replays audio since the last final result', () => {
+    const { SpeechToTextService } = require(path.join(__dirname, '..', 'server', 'speechToText'));
+    const EventEmitter = require('events');
+    const provider = fakeSttProvider();
+    const stt = new SpeechToTextService(provider);
+    const socket = new EventEmitter();
+    const captions = [];
+    socket.on('transcript', (t) => captions.push(t.transcript));
+    stt.bindSocketToStream('s1', socket);
+
+    stt.startSpeech('s1');
+    const [first] = provider.opened;
+    stt.processAudio('s1', pcm(1));
+    first.emit('result', { transcript: 'one', isFinal: true });
+    stt.processAudio('s1', pcm(2));
+    stt.processAudio('s1', pcm(3));
+
+    stt.rotate('s1');
+    const second = provider.opened[1];
+    assert.ok(second.overlapped, 'the new stream opens before the old one closes');
+    assert.ok(first.destroyed);
+    assert.deepStrictEqual(second.written, [2, 3], 'only unfinalized audio is replayed');
+
+    stt.processAudio('s1', pcm(4));
+    assert.deepStrictEqual(second.written, [2, 3, 4]);
+    second.emit('result', { transcript: 'two three four', isFinal: true });
+    assert.deepStrictEqual(captions, ['one', 'two three four'], 'the socket binding survives rotation');
+    stt.cleanup('s1');
+});
+
+test('STT error recovery backs off exponentially and reports captions reconnecting', async () => {
+    const { SpeechToTextService } = require(path.join(__dirname, '..', 'server', 'speechToText'));
+    const EventEmitter = require('events');
+    const provider = fakeSttProvider();
+    const stt = new SpeechToTextService(provider);
+    stt.RECOVERY_DELAY = 5;
+    const statuses = [];
+    stt.on('status', (socketId, status) => statuses.push(status));
+    stt.bindSocketToStream('s1', new EventEmitter());
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    stt.startSpeech('s1');
+    stt.processAudio('s1', pcm(1));
+    provider.opened[0].writable = false;
+    provider.opened[0].emit('error', new Error('boom'));
+    // Speech during the outage is kept for the replacement stream.
+    stt.processAudio('s1', pcm(2));
+    await wait(20);
+    assert.strictEqual(provider.opened.length, 2);
+    assert.deepStrictEqual(provider.opened[1].written, [1, 2]);
+
+    provider.opened[1].emit('error', new Error('boom again'));
+    await wait(30);
+    assert.strictEqual(provider.opened.length, 3);
+    assert.deepStrictEqual(statuses, [
+        { state: 'reconnecting', retryIn: 5 },
+        { state: 'live' },
+        { state: 'reconnecting', retryIn: 10 },
+        { state: 'live' },
+    ]);
+
+    // A result resets the backoff.
+    provider.opened[2].emit('result', { transcript: 'ok', isFinal: true });
+    provider.opened[2].emit('error', new Error('once more'));
+    assert.deepStrictEqual(statuses[statuses.length - 1], { state: 'reconnecting', retryIn: 5 });
+    stt.cleanup('s1');
+});
+
+// ── 6. Pose generation ───────────────────────────────────────────────────────
+
+test('pose router caches upstream poses and serves the pre-seeded library', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const http = require('http');
+    const express = require('express');
+    const { createPoseRouter } = require(path.join(__dirname, '..', 'server', 'poseProxy'));
+    const PoseCache = require(path.join(__dirname, '..', 'server', 'poseCache'));
+
+    // An empty pose whose one component is named after `text`, so responses can be told apart.
+    function namedPose(text) {
+        const str = (v) => Buffer.concat([Buffer.from([Buffer.byteLength(v), 0]), Buffer.from(v)]);
+        const version = Buffer.alloc(4 + 6);
+        version.writeFloatLE(0.1, 0);
+        return Buffer.concat([version, Buffer.from([1, 0]), str(text), str('XYZC'), Buffer.alloc(6), Buffer.alloc(6)]);
+    }
+
+    // Stand-in for sign.mt: a pose named after the requested text — except
+    // for letters, which get a body that isn't a pose at all.
+    const requested = [];
+    const upstream = http.createServer((req, res) => {
+        const text = new URL(req.url, 'http://localhost').searchParams.get('text');
+        requested.push(text);
+        if (text === 'broken') {
+            res.writeHead(502);
+            return res.end('upstream down');
+        }
+        res.end(text.length === 1 ? `pose:${text}` : namedPose(text));
+    });
+    await new Promise((resolve) => upstream.listen(0, resolve));
+
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tandem-pose-'));
+    const cache = new PoseCache({ dir: path.join(tmp, 'cache'), libraryDir: path.join(tmp, 'library') });
+    // The disk cache directory is only created by the first write.
+    assert.strictEqual(fs.existsSync(path.join(tmp, 'cache')), false);
+    await cache.addToLibrary('Thank you!', 'en', 'ase', namedPose('library pose'));
+    const app = express().use(createPoseRouter({
+        upstreamUrl: `http://localhost:${upstream.address().port}/pose`,
+        cache,
+    }));
+    const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+    const base = `http://localhost:${server.address().port}/pose`;
+
+    try {
+        const first = await fetch(`${base}?text=Good%20morning`);
+        assert.strictEqual(first.headers.get('x-pose-source'), 'upstream');
+        const body = async (res) => Buffer.from(await res.arrayBuffer());
+        assert.deepStrictEqual(await body(first), namedPose('Good morning'));
+        // Case and whitespace differences hit the same cache entry.
+        const second = await fetch(`${base}?text=good%20%20morning`);
+        assert.strictEqual(second.headers.get('x-pose-source'), 'memory');
+        assert.deepStrictEqual(await body(second), namedPose('Good morning'));
+
+        const library = await fetch(`${base}?text=thank%20you`);
+        assert.strictEqual(library.headers.get('x-pose-source'), 'library');
+        assert.deepStrictEqual(await body(library), namedPose('library pose'));
+
+        // Language codes name a library directory — anything else is refused.
+        assert.strictEqual((await fetch(`${base}?text=hello&spoken=../..&signed=ase`)).status, 400);
+        assert.strictEqual((await fetch(`${base}?text=hello&spoken=en&spoken=de`)).status, 400);
+
+        const failed = await fetch(`${base}?text=broken`);
+        assert.strictEqual(failed.status, 502);
+        // Good morning was fetched once; the failed request was retried letter
+        // by letter, but the stand-in's letters are not real poses.
+        assert.strictEqual(requested.filter((t) => t === 'Good morning').length, 1);
+        assert.deepStrictEqual(requested.slice(1), ['broken', 'b', 'r', 'o', 'k', 'e', 'n']);
+        // ...so none of them were cached either.
+        assert.strictEqual(await cache.lookup('b', 'en', 'ase'), null);
+
+        // A fresh cache over the same directory finds the entry on disk.
+        const reopened = new PoseCache({ dir: path.join(tmp, 'cache') });
+        assert.strictEqual((await reopened.lookup('GOOD MORNING', 'en', 'ase')).source, 'disk');
+    } finally {
+        server.close();
+        upstream.close();
+        fs.rmSync(tmp, { recursive: true, force: true });
+    }
+});
+
+test('pose library can be imported offline and serves with the pose service down', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const express = require('express');
+    const { createPoseRouter } = require(path.join(__dirname, '..', 'server', 'poseProxy'));
+    const PoseCache = require(path.join(__dirname, '..', 'server', 'poseCache'));
+    const { importPoses } = require(path.join(__dirname, '..', 'server', 'seedPoses'));
+
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tandem-pose-'));
+    const source = path.join(tmp, 'source');
+    fs.mkdirSync(source);
+    // The smallest valid pose: version 0.1, no components, no frames.
+    const pose = Buffer.alloc(4 + 6 + 2 + 6);
+    pose.writeFloatLE(0.1, 0);
+    fs.writeFileSync(path.join(source, 'thank-you.pose'), pose);
+    fs.writeFileSync(path.join(source, 'junk.pose'), 'not a pose');
+    fs.writeFileSync(path.join(source, 'README.txt'), 'notes');
+
+    const cache = new PoseCache({ dir: null, libraryDir: path.join(tmp, 'library') });
+    const result = await importPoses(source, { cache });
+    assert.deepStrictEqual(result, { seeded: 1, skipped: 1, failed: ['junk.pose'] });
+
+    // Nothing listens on port 9, so every upstream request fails to connect.
+    const app = express().use(createPoseRouter({ upstreamUrl: 'http://127.0.0.1:9/pose', cache }));
+    const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+    const base = `http://localhost:${server.address().port}/pose`;
+    try {
+        const res = await fetch(`${base}?text=Thank%20you`);
+        assert.strictEqual(res.headers.get('x-pose-source'), 'library');
+        assert.deepStrictEqual(Buffer.from(await res.arrayBuffer()), pose);
+        assert.strictEqual((await fetch(`${base}?text=goodbye`)).status, 502);
+    } finally {
+        server.close();
+        fs.rmSync(tmp, { recursive: true, force: true });
+    }
+});
+
+test('pose router stitches word and fingerspelled poses when the sentence fails', async () => {
+    const http = require('http');
+    const express = require('express');
+    const { createPoseRouter } = require(path.join(__dirname, '..', 'server', 'poseProxy'));
+    const PoseCache = require(path.join(__dirname, '..', 'server', 'poseCache'));
+    const { parsePose, writePose } = require(path.join(__dirname, '..', 'server', 'poseFormat'));
+
+    // A one-component, two-point XYZC skeleton; every frame holds `value`.
+    function makePose(frameCount, value) {
+        const header = Buffer.alloc(4 + 6 + 2);
+        header.writeFloatLE(0.1, 0);
+        header.writeUInt16LE(1, 10);
+        const str = (s) => {
+            const b = Buffer.alloc(2 + Buffer.byteLength(s));
+            b.writeUInt16LE(Buffer.byteLength(s), 0);
+            b.write(s, 2);
+            return b;
+        };
+        const counts = Buffer.alloc(6);
+        counts.writeUInt16LE(2, 0);
+        const fullHeader = Buffer.concat([header, str('HAND'), str('XYZC'), counts, str('WRIST'), str('TIP')]);
+        return writePose({
+            header: fullHeader,
+            fps: 25,
+            people: 1,
+            frames: frameCount,
+            data: new Float32Array(frameCount * 2 * 3).fill(value),
+            confidence: new Float32Array(frameCount * 2).fill(1),
+        });
+    }
+
+    const poses = { hello: makePose(3, 1), h: makePose(2, 5), i: makePose(2, 9) };
+    const requested = [];
+    const upstream = http.createServer((req, res) => {
+        const text = new URL(req.url, 'http://localhost').searchParams.get('text');
+        requested.push(text);
+        if (!poses[text]) {
+            res.writeHead(500);
+            return res.end('no pose');
+        }
+        res.end(poses[text]);
+    });
+    await new Promise((resolve) => upstream.listen(0, resolve));
+    const app = express().use(createPoseRouter({
+        upstreamUrl: `http://localhost:${upstream.address().port}/pose`,
+        cache: new PoseCache(),
+    }));
+    const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+
+    try {
+        const res = await fetch(`http://localhost:${server.address().port}/pose?text=Hello%20Hi`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('x-pose-source'), 'stitched');
+        assert.deepStrictEqual(requested, ['Hello Hi', 'hello', 'hi', 'h', 'i']);
+
+        const pose = parsePose(Buffer.from(await res.arrayBuffer()));
+        // 3 + 2 + 2 frames of signing plus 4 transition frames between each clip.
+        assert.strictEqual(pose.frames, 3 + 4 + 2 + 4 + 2);
+        assert.strictEqual(pose.data[0], 1);
+        // Transitions interpolate between the neighbouring clips.
+        const firstTransition = pose.data[3 * 6];
+        assert.ok(firstTransition > 1 && firstTransition < 5, `expected 1 < ${firstTransition} < 5`);
+        assert.strictEqual(pose.data[pose.data.length - 1], 9);
+
+        // Long texts are refused, and stitching has a bounded upstream budget.
+        const base = `http://localhost:${server.address().port}/pose`;
+        assert.strictEqual((await fetch(`${base}?text=${'a'.repeat(501)}`)).status, 413);
+        assert.strictEqual((await fetch(`${base}?text=${Array(51).fill('hi').join('%20')}`)).status, 400);
+        const consonants = 'bcdfgjklmnpqrstvwxz';
+        const words = Array.from({ length: 50 }, (_, i) =>
+            consonants[i % 19] + consonants[(i + 3) % 19] + consonants[Math.floor(i / 19) + 5]);
+        requested.length = 0;
+        await fetch(`${base}?text=${words.join('%20')}`);
+        // The sentence itself, then at most 60 words and letters.
+        assert.strictEqual(requested.length, 61);
+    } finally {
+        server.close();
+        upstream.close();
+    }
+});
+
+test('TranscriptLog records utterances and exports text, JSON, WebVTT and SRT', () => {
+    const { TranscriptLog, formatTimestamp } = require(path.join(__dirname, '..', 'server', 'transcript'));
+    const log = new TranscriptLog({ startedAt: 0 });
+    const hearing = { id: 'abcd1234', userType: 'hearing' };
+    const deaf = { id: 'wxyz9876', userType: 'deaf' };
+
+    log.add({ kind: 'speech', text: 'Hello there', speaker: hearing, confidence: 0.912, time: 1000 });
+    log.add({ kind: 'sign', text: 'hi', speaker: deaf, confidence: 0.7, time: 2000 });
+    log.add({ kind: 'chat', text: 'a < b & c', speaker: deaf, time: 3661500 });
+    assert.strictEqual(log.add({ kind: 'chat', text: '   ', speaker: deaf }), null);
+    assert.strictEqual(log.entries.length, 3);
+    assert.strictEqual(log.entries[0].confidence, 0.91);
+
+    assert.strictEqual(formatTimestamp(3661500), '01:01:01.500');
+    assert.strictEqual(formatTimestamp(3661500, ','), '01:01:01,500');
+
+    const text = log.export('txt').body;
+    assert.match(text, /Hearing \(abcd\) said: Hello there \(91%\)/);
+    assert.match(text, /Deaf \(wxyz\) typed: a < b & c\n$/);
+
+    assert.strictEqual(JSON.parse(log.export('json').body).entries.length, 3);
+
+    const vtt = log.export('vtt');
+    assert.strictEqual(vtt.type, 'text/vtt; charset=utf-8');
+    assert.match(vtt.body, /^WEBVTT\n\n/);
+    // The first cue is cut short where the next utterance starts.
+    assert.match(vtt.body, /00:00:01\.000 --> 00:00:02\.000\n<v Hearing \(abcd\)>Hello there/);
+    assert.match(vtt.body, /<v Deaf \(wxyz\)>a &lt; b &amp; c/);
+
+    const srt = log.export('srt').body;
+    assert.match(srt, /^1\n00:00:01,000 --> 00:00:02,000\nHearing \(abcd\): Hello there\n/);
+    assert.match(srt, /\n3\n01:01:01,500 --> 01:01:03,500\n/);
+
+    // Speaker names are escaped, and a malformed userType doesn't throw.
+    log.add({ kind: 'chat', text: 'x', speaker: { id: 'evil', userType: 'a>b<i>' }, time: 4000000 });
+    log.add({ kind: 'chat', text: 'y', speaker: { id: 'odd1', userType: {} }, time: 4100000 });
+    assert.match(log.export('vtt').body, /<v A&gt;b&lt;i&gt; \(evil\)>x/);
+    assert.match(log.export('srt').body, /\nAbi \(evil\): x\n/);
+    assert.match(log.export('txt').body, /Peer \(odd1\) typed: y/);
+
+    assert.throws(() => log.export('doc'), /Unknown transcript format/);
+});
+
+test('TranscriptLog can be cut to a recording window', () => {
+    const { TranscriptLog } = require(path.join(__dirname, '..', 'server', 'transcript'));
+    const log = new TranscriptLog({ startedAt: 0 });
+    const speaker = { id: 'abcd1234', userType: 'hearing' };
+    log.add({ kind: 'speech', text: 'before', speaker, time: 1000 });
+    log.add({ kind: 'speech', text: 'during', speaker, time: 12000 });
+    log.add({ kind: 'speech', text: 'after', speaker, time: 30000 });
+
+    const vtt = log.export('vtt', { from: 10000, to: 20000 }).body;
+    assert.doesNotMatch(vtt, /before|after/);
+    // Cue times count from the start of the recording.
+    assert.match(vtt, /00:00:02\.000 --> 00:00:03\.500\n<v Hearing \(abcd\)>during/);
+});
+
+test('RecordingSession needs every other participant to consent', () => {
+    const { RecordingSession } = require(path.join(__dirname, '..', 'server', 'recording'));
+
+    const session = new RecordingSession('a', ['a', 'b', 'c']);
+    assert.strictEqual(session.state, 'pending');
+    assert.deepStrictEqual(session.toJSON().awaiting, ['b', 'c']);
+    assert.strictEqual(session.answer('a', true), false, 'the requester does not vote');
+    assert.strictEqual(session.answer('b', true), false);
+    assert.strictEqual(session.state, 'pending');
+    assert.strictEqual(session.answer('c', true), true);
+    assert.strictEqual(session.state, 'recording');
+    assert.ok(session.startedAt);
+    session.stop('stopped');
+    assert.strictEqual(session.state, 'stopped');
+    assert.ok(session.stoppedAt >= session.startedAt);
+
+    const declined = new RecordingSession('a', ['a', 'b']);
+    assert.strictEqual(declined.answer('b', false), true);
+    assert.strictEqual(declined.state, 'declined');
+    assert.strictEqual(declined.active, false);
+
+    const cancelled = new RecordingSession('a', ['a', 'b']);
+    cancelled.stop('participants-changed');
+    assert.strictEqual(cancelled.state, 'cancelled');
+    assert.strictEqual(cancelled.stoppedAt, null);
+
+    // Alone in the room there is nobody to ask.
+    assert.strictEqual(new RecordingSession('a', ['a']).state, 'recording');
+});